@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+import Redis from "ioredis";
+import * as Y from "yjs";
+import * as decoding from "lib0/decoding";
+import { createStorage } from "../src/storage/index.js";
+import RoomArchive from "../src/storage/archive.js";
+import RoomManager from "../src/roomManager.js";
+import RoomStreams from "../src/roomStreams.js";
+import InstanceRegistry from "../src/instanceRegistry.js";
+import { describeClusterRooms } from "../src/clusterRooms.js";
+import { CloseCode } from "../src/protocol.js";
+import { diffJSON, docFromState, docToJSON } from "../src/docContent.js";
+
+const USAGE = `Usage: collab <command> [options]
+
+Through a server's HTTP API:
+  export <room>          Write a room's content to --output (or stdout)
+  import <room> <file>   Import an export into a room
+
+Directly on the cluster's Redis and storage:
+  rooms                  List active and persisted rooms with their sizes
+  instances              List the live instances and their rooms
+  dump <room>            Print a room's persisted content as JSON
+  tail <room>            Follow a room's updates and messages, decoded
+  compact <room>         Fold a room's update log into its snapshot
+  delete <room> --yes    Delete a room everywhere, disconnecting its clients
+
+Options:
+  --url <url>            Server to talk to (COLLAB_URL, default http://localhost:1234)
+  --token <jwt>          Bearer token (COLLAB_TOKEN)
+  --format json|yjs      Export format, default json; for imports it
+                         follows the file extension (.yjs or .json)
+  --output <file>        Export to a file instead of stdout
+  --mode merge|replace   Keep the room's other content or replace all of it
+                         (import, default merge)
+  --redis <url>          Redis to connect to (REDIS_URL, default
+                         redis://localhost:6379 with Redis storage)
+  --json                 Print rooms and instances as JSON
+  --yes                  Confirm a delete
+  -h, --help             Show this help
+
+Storage is selected by STORAGE_BACKEND, STORAGE_DIR and ARCHIVE_DIR as for
+the server.`;
+
+/**
+ * Thrown for invalid usage or a failed request; printed without a stack
+ */
+class CliError extends Error {}
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "redis";
+
+const options = {
+  url: { type: "string", default: process.env.COLLAB_URL || "http://localhost:1234" },
+  token: { type: "string", default: process.env.COLLAB_TOKEN },
+  format: { type: "string" },
+  output: { type: "string" },
+  mode: { type: "string", default: "merge" },
+  redis: {
+    type: "string",
+    default:
+      process.env.REDIS_URL || (STORAGE_BACKEND === "redis" ? "redis://localhost:6379" : undefined),
+  },
+  json: { type: "boolean" },
+  yes: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const commands = {
+  export: exportRoom,
+  import: importRoom,
+  rooms: listRooms,
+  instances: listInstances,
+  dump: dumpRoom,
+  tail: tailRoom,
+  compact: compactRoom,
+  delete: deleteRoom,
+};
+
+/**
+ * Send a request for a room to the server and return the response,
+ * throwing a CliError with the server's message if it failed
+ */
+async function request(args, roomId, route, init = {}) {
+  const url = new URL(`rooms/${encodeURIComponent(roomId)}${route}`, `${args.url.replace(/\/$/, "")}/`);
+  const headers = { ...init.headers };
+  if (args.token) {
+    headers.Authorization = `Bearer ${args.token}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { ...init, headers });
+  } catch (error) {
+    throw new CliError(`Cannot reach ${args.url}: ${error.cause?.message || error.message}`);
+  }
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new CliError(`${response.status} ${body.error || response.statusText}`);
+  }
+  return response;
+}
+
+/**
+ * Connect to the cluster the way an instance does: the same storage
+ * adapter and key conventions, a RoomManager for room state and the
+ * instance registry. `requireRedis` is for commands that need to see or
+ * reach the instances. close() disconnects.
+ */
+async function connect(args, { requireRedis = false } = {}) {
+  if (requireRedis && !args.redis) {
+    throw new CliError("This command needs Redis (--redis or REDIS_URL)");
+  }
+
+  const connections = [];
+  const redisClient = () => {
+    // Fail fast instead of retrying while Redis is unreachable
+    const client = new Redis(args.redis, { maxRetriesPerRequest: 1, retryStrategy: () => null });
+    client.on("error", () => {}); // reported by the failing command
+    connections.push(client);
+    return client;
+  };
+
+  const redis = args.redis ? redisClient() : null;
+  if (redis) {
+    try {
+      await redis.ping();
+    } catch (error) {
+      redis.disconnect();
+      throw new CliError(`Cannot reach Redis at ${args.redis}: ${error.message}`);
+    }
+  }
+
+  const instanceId = `cli-${os.hostname()}-${process.pid}`;
+  const storage = createStorage(STORAGE_BACKEND, {
+    redis,
+    dir: process.env.STORAGE_DIR || "./data",
+  });
+  return {
+    instanceId,
+    redis,
+    redisClient,
+    storage,
+    roomManager: new RoomManager(storage, {
+      archive: new RoomArchive(process.env.ARCHIVE_DIR || "./archive"),
+    }),
+    registry: new InstanceRegistry(redis, instanceId, { describeRooms: () => ({}) }),
+    close: () => connections.forEach((client) => client.disconnect()),
+  };
+}
+
+/**
+ * Run `fn(cluster)` with a connection to the cluster, closed afterwards
+ */
+async function withCluster(args, connectOptions, fn) {
+  const cluster = await connect(args, connectOptions);
+  try {
+    return await fn(cluster);
+  } finally {
+    cluster.close();
+  }
+}
+
+/**
+ * The live instances, without this CLI (which the registry lists first)
+ */
+async function liveInstances(registry) {
+  const instances = await registry.listInstances();
+  return instances.filter((instance) => instance.id !== registry.instanceId);
+}
+
+async function exportRoom(args, [roomId]) {
+  if (!roomId) throw new CliError("export needs a room");
+  const format = args.format || "json";
+
+  const response = await request(args, roomId, `/export?format=${encodeURIComponent(format)}`);
+  const data =
+    format === "yjs"
+      ? Buffer.from(await response.arrayBuffer())
+      : `${JSON.stringify(await response.json(), null, 2)}\n`;
+
+  if (args.output) {
+    await fs.writeFile(args.output, data);
+    console.error(`Exported room ${roomId} to ${args.output}`);
+  } else {
+    process.stdout.write(data);
+  }
+}
+
+async function importRoom(args, [roomId, file]) {
+  if (!roomId || !file) throw new CliError("import needs a room and a file");
+  const format = args.format || (path.extname(file) === ".yjs" ? "yjs" : "json");
+  const data = await fs.readFile(file);
+
+  const response = await request(args, roomId, `/import?mode=${encodeURIComponent(args.mode)}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": format === "yjs" ? "application/octet-stream" : "application/json",
+    },
+    body: data,
+  });
+  const result = await response.json();
+  console.log(
+    result.changed
+      ? `Imported ${file} into room ${roomId} (${result.mode})` +
+          (result.backup ? `, previous content saved as version ${result.backup.id}` : "")
+      : `Room ${roomId} already has the content of ${file}`
+  );
+}
+
+async function listRooms(args) {
+  await withCluster(args, {}, async ({ storage, registry }) => {
+    const rooms = await describeClusterRooms(storage, registry);
+    rooms.sort((a, b) => a.id.localeCompare(b.id));
+    if (args.json) {
+      console.log(JSON.stringify({ rooms }, null, 2));
+      return;
+    }
+
+    printTable(
+      ["ROOM", "SIZE", "PERSISTED", "UPDATED", "CLIENTS", "INSTANCES"],
+      rooms.map((room) => [
+        room.id,
+        formatBytes(room.size),
+        room.persisted ? formatBytes(room.persisted.size) : "-",
+        room.updatedAt || "-",
+        String(room.clients),
+        room.instances.join(", ") || "-",
+      ])
+    );
+  });
+}
+
+async function listInstances(args) {
+  await withCluster(args, { requireRedis: true }, async ({ registry }) => {
+    const instances = await liveInstances(registry);
+    instances.sort((a, b) => a.id.localeCompare(b.id));
+    if (args.json) {
+      console.log(JSON.stringify({ instances }, null, 2));
+      return;
+    }
+
+    printTable(
+      ["INSTANCE", "STARTED", "HEARTBEAT", "ROOMS", "CLIENTS"],
+      instances.map((instance) => {
+        const rooms = Object.values(instance.rooms);
+        return [
+          instance.id,
+          instance.startedAt,
+          instance.heartbeatAt,
+          String(rooms.length),
+          String(rooms.reduce((sum, room) => sum + room.clients, 0)),
+        ];
+      })
+    );
+  });
+}
+
+async function dumpRoom(args, [roomId]) {
+  if (!roomId) throw new CliError("dump needs a room");
+  await withCluster(args, {}, async ({ roomManager }) => {
+    const doc = docFromState(await roomManager.getState(roomId));
+    console.log(JSON.stringify({ room: roomId, content: docToJSON(doc) }, null, 2));
+    doc.destroy();
+  });
+}
+
+/**
+ * Follow a room until interrupted: document updates from its stream,
+ * printed as the changes they make to the persisted content, and the
+ * awareness and control messages of its pub/sub channel
+ */
+async function tailRoom(args, [roomId]) {
+  if (!roomId) throw new CliError("tail needs a room");
+  await withCluster(args, { requireRedis: true }, async (cluster) => {
+    const { redis, redisClient, roomManager, instanceId } = cluster;
+    const doc = docFromState(await roomManager.getState(roomId));
+
+    const streams = new RoomStreams(redis, redisClient(), instanceId);
+    streams.on("update", (_roomId, update, origin) => {
+      const before = docToJSON(doc);
+      Y.applyUpdate(doc, update);
+      const changes = diffJSON(before, docToJSON(doc));
+      print(origin, `update (${formatBytes(update.length)})`);
+      for (const change of changes) {
+        const values =
+          change.op === "add"
+            ? preview(change.after)
+            : change.op === "remove"
+              ? preview(change.before)
+              : `${preview(change.before)} -> ${preview(change.after)}`;
+        console.log(`    ${change.op} ${change.path || "/"} ${values}`);
+      }
+      if (changes.length === 0) {
+        console.log("    (no visible changes)");
+      }
+    });
+
+    const subscriber = redisClient();
+    subscriber.on("message", (_channel, message) => {
+      let msg;
+      try {
+        msg = JSON.parse(message);
+      } catch {
+        print("?", `malformed message: ${preview(message)}`);
+        return;
+      }
+      if (msg.awareness) {
+        for (const { clientId, state } of decodeAwareness(Buffer.from(msg.awareness, "base64"))) {
+          print(msg.instanceId, `awareness client ${clientId}: ${state === null ? "left" : preview(state)}`);
+        }
+      } else if (msg.control) {
+        print(msg.instanceId, `control: ${msg.control}`);
+      } else if (msg.queryAwareness) {
+        print(msg.instanceId, "awareness query");
+      } else if (msg.stateVector) {
+        print(msg.instanceId, "state vector (reconciliation)");
+      } else {
+        print(msg.instanceId, preview(msg));
+      }
+    });
+    await subscriber.subscribe(`room:${roomId}`);
+
+    streams.track(roomId, 0);
+    streams.start();
+    console.error(`Following room ${roomId}, press Ctrl+C to stop`);
+
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
+    });
+    await streams.stop();
+    doc.destroy();
+  });
+}
+
+async function compactRoom(args, [roomId]) {
+  if (!roomId) throw new CliError("compact needs a room");
+  await withCluster(args, {}, async ({ storage, roomManager }) => {
+    const before = await storage.stat(roomId);
+    if (!before) throw new CliError(`Room ${roomId} is not persisted`);
+
+    await roomManager.compactRoom(roomId);
+    const after = await storage.stat(roomId);
+    console.log(
+      `Compacted room ${roomId}: ${formatBytes(before.size)} -> ${formatBytes(after?.size ?? 0)}`
+    );
+  });
+}
+
+/**
+ * Delete a room like DELETE /admin/rooms/:id: the instances holding it
+ * are told to close it and delete its state, then whatever is persisted
+ * is deleted here
+ */
+async function deleteRoom(args, [roomId]) {
+  if (!roomId) throw new CliError("delete needs a room");
+  if (!args.yes) throw new CliError(`Deleting room ${roomId} cannot be undone; pass --yes`);
+
+  await withCluster(args, { requireRedis: true }, async ({ redis, roomManager, instanceId }) => {
+    await redis.publish(
+      `room:${roomId}`,
+      JSON.stringify({ instanceId, room: roomId, control: "delete" })
+    );
+    await roomManager.closeRoom(roomId, {
+      code: CloseCode.ROOM_DELETED,
+      reason: "Room deleted",
+      deleteState: true,
+    });
+    await new RoomStreams(redis, null, instanceId).delete(roomId);
+    console.log(`Deleted room ${roomId}`);
+  });
+}
+
+/**
+ * Decode an awareness update into { clientId, state } entries, `state`
+ * being null for clients that left
+ */
+function decodeAwareness(update) {
+  const decoder = decoding.createDecoder(update);
+  const entries = [];
+  const count = decoding.readVarUint(decoder);
+  for (let i = 0; i < count; i++) {
+    const clientId = decoding.readVarUint(decoder);
+    decoding.readVarUint(decoder); // clock
+    entries.push({ clientId, state: JSON.parse(decoding.readVarString(decoder)) });
+  }
+  return entries;
+}
+
+function print(origin, text) {
+  console.log(`${new Date().toISOString()} [${origin}] ${text}`);
+}
+
+function preview(value, max = 80) {
+  const text = JSON.stringify(value);
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printTable(header, rows) {
+  if (rows.length === 0) {
+    console.log("(none)");
+    return;
+  }
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd());
+  }
+}
+
+async function main() {
+  const { values: args, positionals } = parseArgs({ options, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (args.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!commands[command]) {
+    throw new CliError(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+  await commands[command](args, rest);
+}
+
+main().catch((error) => {
+  const expected = error instanceof CliError || error.code?.startsWith("ERR_PARSE_ARGS");
+  console.error(expected ? error.message : error.stack);
+  process.exitCode = 1;
+});
@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+/**
+ * Room permissions, in increasing order of privilege
+ */
+const Permission = Object.freeze({
+  NONE: "none",
+  READ: "read",
+  WRITE: "write",
+  ADMIN: "admin",
+});
+
+const PERMISSION_LEVELS = [
+  Permission.NONE,
+  Permission.READ,
+  Permission.WRITE,
+  Permission.ADMIN,
+];
+
+/**
+ * Check whether a granted permission includes the required one
+ */
+function hasPermission(granted, required) {
+  return PERMISSION_LEVELS.indexOf(granted) >= PERMISSION_LEVELS.indexOf(required);
+}
+
+/**
+ * A policy is any object with `async getPermission(user, roomId)`
+ * returning one of the Permission values. `user` is the authenticated
+ * user ({ id, roles, claims }) or null when authentication is disabled.
+ */
+
+/**
+ * Policy granting the same permission on every room to everyone
+ */
+function allowAllPolicy(permission = Permission.WRITE) {
+  return {
+    async getPermission() {
+      return permission;
+    },
+  };
+}
+
+/**
+ * Policy backed by a JSON document of the form:
+ *
+ * {
+ *   "default": "none",
+ *   "rules": [
+ *     { "room": "public-*", "permission": "read" },
+ *     { "room": "team-*", "users": ["alice"], "permission": "write" },
+ *     { "room": "*", "roles": ["ops"], "permission": "admin" }
+ *   ]
+ * }
+ *
+ * `room` is a glob where `*` matches any characters. A rule without
+ * `users` or `roles` applies to everyone. The highest permission of all
+ * matching rules wins; `default` applies when none match.
+ */
+class JsonPolicy {
+  constructor({ default: defaultPermission = Permission.NONE, rules = [] } = {}) {
+    this.defaultPermission = defaultPermission;
+    this.rules = rules.map((rule) => {
+      if (!PERMISSION_LEVELS.includes(rule.permission)) {
+        throw new Error(`Invalid permission in policy rule: ${rule.permission}`);
+      }
+      return { ...rule, pattern: globToRegExp(rule.room ?? "*") };
+    });
+  }
+
+  static fromFile(file) {
+    return new JsonPolicy(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+
+  async getPermission(user, roomId) {
+    let granted = null;
+
+    for (const rule of this.rules) {
+      if (!rule.pattern.test(roomId) || !matchesUser(rule, user)) continue;
+      if (granted === null || !hasPermission(granted, rule.permission)) {
+        granted = rule.permission;
+      }
+    }
+
+    return granted ?? this.defaultPermission;
+  }
+}
+
+/**
+ * Check whether a rule's `users`/`roles` constraints match a user
+ */
+function matchesUser(rule, user) {
+  if (!rule.users && !rule.roles) return true;
+  if (!user) return false;
+  if (rule.users && rule.users.includes(user.id)) return true;
+  if (rule.roles && rule.roles.some((role) => user.roles.includes(role))) return true;
+  return false;
+}
+
+/**
+ * Convert a room glob (`*` wildcard) into an anchored RegExp
+ */
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Load the policy named by ACL_POLICY:
+ * - unset: everyone may read and write every room
+ * - path to a .json file: JsonPolicy
+ * - path to a JS module: its default export, either a policy object or a
+ *   (possibly async) factory returning one
+ */
+async function loadPolicy(spec) {
+  if (!spec) {
+    return allowAllPolicy();
+  }
+
+  const file = path.resolve(spec);
+  if (file.endsWith(".json")) {
+    return JsonPolicy.fromFile(file);
+  }
+
+  const module = await import(pathToFileURL(file).href);
+  const exported = module.default ?? module;
+  return typeof exported === "function" ? await exported() : exported;
+}
+
+export {
+  Permission,
+  hasPermission,
+  allowAllPolicy,
+  JsonPolicy,
+  loadPolicy,
+  globToRegExp,
+};
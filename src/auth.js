@@ -0,0 +1,112 @@
+import fs from "fs";
+import jwt from "jsonwebtoken";
+
+/**
+ * Error raised when a request cannot be authenticated
+ */
+class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Authenticator verifies JWTs offline with a shared secret (HS256)
+ * and/or a public key (RS256). When no key is configured, authentication
+ * is disabled and every request is treated as anonymous.
+ */
+class Authenticator {
+  constructor({ secret, publicKey, issuer, audience } = {}) {
+    this.keys = new Map(); // algorithm => key
+    if (secret) this.keys.set("HS256", secret);
+    if (publicKey) this.keys.set("RS256", publicKey);
+    this.issuer = issuer;
+    this.audience = audience;
+  }
+
+  /**
+   * Build an authenticator from JWT_* environment variables
+   */
+  static fromEnv(env = process.env) {
+    let publicKey = env.JWT_PUBLIC_KEY?.replace(/\\n/g, "\n");
+    if (!publicKey && env.JWT_PUBLIC_KEY_FILE) {
+      publicKey = fs.readFileSync(env.JWT_PUBLIC_KEY_FILE, "utf8");
+    }
+
+    return new Authenticator({
+      secret: env.JWT_SECRET,
+      publicKey,
+      issuer: env.JWT_ISSUER,
+      audience: env.JWT_AUDIENCE,
+    });
+  }
+
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  /**
+   * Authenticate an HTTP request (including WebSocket upgrades).
+   * The token is read from the Authorization header or, since browsers
+   * cannot set headers on WebSocket connections, the `token` query param.
+   *
+   * Returns { id, roles, claims } or null for anonymous access.
+   */
+  authenticate(req) {
+    if (!this.enabled) return null;
+
+    const token = getToken(req);
+    if (!token) {
+      throw new AuthError("Authentication token required");
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && this.keys.get(decoded.header.alg);
+    if (!key) {
+      throw new AuthError("Unsupported or malformed token");
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, key, {
+        algorithms: [decoded.header.alg],
+        issuer: this.issuer,
+        audience: this.audience,
+      });
+    } catch (error) {
+      throw new AuthError(`Invalid token: ${error.message}`);
+    }
+
+    if (!claims.sub) {
+      throw new AuthError("Token has no subject");
+    }
+
+    return {
+      id: claims.sub,
+      roles: Array.isArray(claims.roles) ? claims.roles : [],
+      claims,
+    };
+  }
+}
+
+/**
+ * Extract a bearer token from the Authorization header or query string
+ */
+function getToken(req) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+
+  let url;
+  try {
+    url = new URL(req.url, `http://${req.headers.host}`);
+  } catch (error) {
+    throw new AuthError(`Malformed request URL: ${error.message}`, 400);
+  }
+  return url.searchParams.get("token");
+}
+
+export { Authenticator, AuthError };
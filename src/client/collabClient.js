@@ -0,0 +1,497 @@
+import * as Y from "yjs";
+import * as awarenessProtocol from "y-protocols/awareness";
+
+// Close codes after which reconnecting cannot succeed: policy violations
+// and deleted rooms (see CloseCode in src/protocol.js)
+const POLICY_VIOLATION = 1008;
+const ROOM_DELETED = 4000;
+
+/**
+ * CollabClient keeps a Y.Doc in sync with a room, over the JSON protocol
+ * with the state-vector handshake (version 2). It runs in browsers and in
+ * Node; Node before version 22 has no global WebSocket, so pass the
+ * `ws` package's as the `WebSocket` option.
+ *
+ * The connection is reopened with exponential backoff whenever it drops.
+ * Local edits made while disconnected are queued and flushed with the
+ * handshake on reconnect, which sends exactly what the server lacks. With
+ * a `persistence` adapter (IndexedDbPersistence, FilePersistence) the
+ * document is also saved locally and restored before connecting, so
+ * edits not yet synced survive a reload.
+ *
+ * `status` is "connecting", "syncing" (open, handshake in progress),
+ * "connected", "disconnected" (a reconnect is scheduled unless
+ * disconnect() was called) or "closed" (the server deleted the room,
+ * whose saved copy is then discarded, or closed the connection for
+ * policy violations, or destroy() was called).
+ *
+ * `degraded` is true while the server reports that it cannot sync with
+ * its other instances: edits are saved and reach the clients of the same
+ * instance, others see them once it recovers.
+ *
+ * Emits "status" ({ status }), "synced" () after each handshake,
+ * "update" ({ update, originInstance }) for updates from the server,
+ * "error" ({ code, message }) for updates the server rejected,
+ * "degraded" ({ degraded }) when `degraded` changes, "history"
+ * ({ action, changed }) when the server answers undo() or redo() and
+ * "close" ({ code, reason }) when the connection closes.
+ */
+class CollabClient {
+  constructor(
+    url,
+    room,
+    {
+      doc = new Y.Doc(),
+      awareness = null,
+      clientId = null,
+      token = null,
+      WebSocket = globalThis.WebSocket,
+      persistence = null,
+      connect = true,
+      minBackoff = 500,
+      maxBackoff = 30000,
+      persistDelay = 300,
+    } = {}
+  ) {
+    this.url = url;
+    this.room = room;
+    this.doc = doc;
+    this.awareness = awareness; // optional y-protocols Awareness of `doc`
+    this.clientId = clientId;
+    this.token = token; // string, or a function returning one (or a promise)
+    this.WebSocket = WebSocket;
+    this.persistence = persistence;
+    this.minBackoff = minBackoff;
+    this.maxBackoff = maxBackoff;
+    this.persistDelay = persistDelay;
+
+    this.status = "disconnected";
+    this.degraded = false;
+    this.ws = null;
+    this.shouldConnect = false;
+    this.attempts = 0; // connection attempts since the last sync
+    this.wasSynced = false; // later connections are reconnects
+    this.retryTimer = null;
+    this.opening = false; // waiting for the token
+    this.persistTimer = null;
+    this.queue = []; // local updates not sent yet
+    this.answeredStep1 = false;
+    this.receivedStep2 = false;
+    this.listeners = new Map(); // event => Set of listeners
+
+    this.onDocUpdate = (update, origin) => this.handleDocUpdate(update, origin);
+    this.doc.on("update", this.onDocUpdate);
+
+    if (this.awareness) {
+      this.onAwarenessUpdate = ({ added, updated, removed }, origin) => {
+        if (origin === "local") {
+          this.sendAwareness(added.concat(updated, removed));
+        }
+      };
+      this.awareness.on("update", this.onAwarenessUpdate);
+    }
+
+    this.onOnline = () => this.retryNow();
+    globalThis.addEventListener?.("online", this.onOnline);
+
+    // The handshake after restoring sends whatever was not synced before
+    this.loaded = this.restore();
+    if (connect) {
+      this.connect();
+    }
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    for (const listener of this.listeners.get(event) || []) {
+      listener(payload);
+    }
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.emit("status", { status });
+  }
+
+  setDegraded(degraded) {
+    if (this.degraded === degraded) return;
+    this.degraded = degraded;
+    this.emit("degraded", { degraded });
+  }
+
+  get synced() {
+    return this.status === "connected";
+  }
+
+  /**
+   * Number of local updates waiting for the connection
+   */
+  get pendingUpdates() {
+    return this.queue.length;
+  }
+
+  /**
+   * Resolve once the document is in sync with the server, immediately if
+   * it already is
+   */
+  whenSynced() {
+    if (this.synced) return Promise.resolve();
+    return new Promise((resolve) => {
+      const onSynced = () => {
+        this.off("synced", onSynced);
+        resolve();
+      };
+      this.on("synced", onSynced);
+    });
+  }
+
+  /**
+   * Ask the server to undo the last change this user made in the room,
+   * including changes made from other clients. Only sent while synced;
+   * the result comes back as a "history" event and the change as an
+   * "update".
+   */
+  undo() {
+    if (this.synced) this.send({ type: "undo" });
+  }
+
+  /**
+   * Ask the server to redo the last change it undid for this user
+   */
+  redo() {
+    if (this.synced) this.send({ type: "redo" });
+  }
+
+  connect() {
+    if (this.status === "closed") {
+      throw new Error("Client is closed");
+    }
+    this.shouldConnect = true;
+    this.loaded.then(() => this.open());
+  }
+
+  /**
+   * Close the connection without reconnecting; local edits are still
+   * queued and sent by the next connect()
+   */
+  disconnect() {
+    this.shouldConnect = false;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.dropSocket();
+    this.setStatus("disconnected");
+  }
+
+  /**
+   * Disconnect, save the document and stop listening to it
+   */
+  async destroy() {
+    this.shouldConnect = false;
+    clearTimeout(this.retryTimer);
+    this.dropSocket();
+    this.setStatus("closed");
+    globalThis.removeEventListener?.("online", this.onOnline);
+    this.doc.off("update", this.onDocUpdate);
+    this.awareness?.off("update", this.onAwarenessUpdate);
+    await this.persist();
+  }
+
+  async open() {
+    if (!this.shouldConnect || this.ws || this.opening) return;
+    this.setStatus("connecting");
+    this.attempts++;
+
+    let ws;
+    this.opening = true;
+    try {
+      const url = await this.connectionUrl();
+      if (!this.shouldConnect) return;
+      ws = new this.WebSocket(url);
+    } catch (error) {
+      console.warn(`[CollabClient] Could not connect: ${error.message}`);
+      this.scheduleReconnect();
+      return;
+    } finally {
+      this.opening = false;
+    }
+    this.ws = ws;
+
+    ws.onopen = () => {
+      if (this.ws !== ws) return;
+      this.setStatus("syncing");
+      this.setDegraded(false); // a degraded server says so when we join
+      this.send({
+        type: "sync",
+        action: "step1",
+        stateVector: toBase64(Y.encodeStateVector(this.doc)),
+      });
+      if (this.awareness?.getLocalState()) {
+        this.sendAwareness([this.awareness.clientID]);
+      }
+    };
+
+    ws.onmessage = (event) => {
+      if (this.ws !== ws) return;
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.warn(`[CollabClient] Error handling message: ${error.message}`);
+      }
+    };
+
+    // Failed connections only report "close" after "error"
+    ws.onerror = () => {};
+
+    ws.onclose = (event) => {
+      if (this.ws !== ws) return;
+      this.dropSocket();
+      this.emit("close", { code: event.code, reason: event.reason });
+
+      if (event.code === ROOM_DELETED) {
+        // Syncing our copy back would recreate the room
+        this.shouldConnect = false;
+        this.discardPersisted();
+        this.setStatus("closed");
+      } else if (event.code === POLICY_VIOLATION) {
+        this.shouldConnect = false;
+        this.setStatus("closed");
+      } else if (this.shouldConnect) {
+        this.scheduleReconnect();
+      } else {
+        this.setStatus("disconnected");
+      }
+    };
+  }
+
+  /**
+   * Forget the current socket, closing it if still open
+   */
+  dropSocket() {
+    const ws = this.ws;
+    if (!ws) return;
+    this.ws = null;
+    this.answeredStep1 = false;
+    this.receivedStep2 = false;
+    this.removeRemoteAwareness();
+    ws.close();
+  }
+
+  async connectionUrl() {
+    const url = new URL(this.url);
+    url.searchParams.set("room", this.room);
+    url.searchParams.set("protocol", "2");
+    if (this.wasSynced) {
+      url.searchParams.set("reconnect", "1");
+    }
+    if (this.clientId) {
+      url.searchParams.set("clientId", this.clientId);
+    }
+    const token = typeof this.token === "function" ? await this.token() : this.token;
+    if (token) {
+      url.searchParams.set("token", token);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Reconnect after min(maxBackoff, minBackoff * 2^attempts) ms, less up
+   * to half of it at random so clients dropped together do not all
+   * return at once
+   */
+  scheduleReconnect() {
+    this.setStatus("disconnected");
+    const delay = Math.min(this.maxBackoff, this.minBackoff * 2 ** (this.attempts - 1));
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.open();
+    }, delay * (0.5 + Math.random() / 2));
+  }
+
+  /**
+   * Reconnect now, e.g. when the browser is back online
+   */
+  retryNow() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      this.open();
+    }
+  }
+
+  /**
+   * Move to a new connection in `delay` ms; the current one stays in use
+   * until then
+   */
+  reconnectAfter(delay) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.dropSocket();
+      this.attempts = 0;
+      this.open();
+    }, delay);
+  }
+
+  handleMessage(msg) {
+    if (msg.type === "error") {
+      this.emit("error", { code: msg.code, message: msg.message });
+      return;
+    }
+
+    if (msg.type === "reconnect") {
+      // The server is shutting down and spreads its clients' reconnects
+      this.reconnectAfter(msg.delay || 0);
+      return;
+    }
+
+    if (msg.type === "status") {
+      this.setDegraded(msg.crossInstanceSync === false);
+      return;
+    }
+
+    if (msg.type === "history") {
+      this.emit("history", { action: msg.action, changed: msg.changed });
+      return;
+    }
+
+    if (msg.type === "awareness") {
+      if (this.awareness) {
+        awarenessProtocol.applyAwarenessUpdate(this.awareness, fromBase64(msg.update), this);
+      }
+      return;
+    }
+
+    if (msg.type !== "sync") return;
+
+    if (msg.action === "step1") {
+      // Sync step 2 carries every edit the server lacks, which includes
+      // the queued ones
+      const diff = Y.encodeStateAsUpdate(this.doc, fromBase64(msg.stateVector));
+      this.send({ type: "sync", action: "step2", update: toBase64(diff) });
+      this.queue = [];
+      this.answeredStep1 = true;
+    } else {
+      // step2, update or snapshot
+      const update = fromBase64(msg.update);
+      Y.applyUpdate(this.doc, update, this);
+      if (msg.action === "step2") {
+        this.receivedStep2 = true;
+      } else if (msg.action === "update") {
+        this.emit("update", { update, originInstance: msg.originInstance });
+      }
+    }
+
+    if (this.answeredStep1 && this.receivedStep2 && !this.synced) {
+      this.attempts = 0;
+      this.wasSynced = true;
+      this.setStatus("connected");
+      this.emit("synced");
+    }
+  }
+
+  handleDocUpdate(update, origin) {
+    if (origin !== this.persistence) {
+      this.schedulePersist();
+    }
+    if (origin === this) return;
+
+    if (this.ws && this.answeredStep1) {
+      this.send({ type: "update", update: toBase64(update) });
+    } else {
+      this.queue.push(update);
+    }
+  }
+
+  send(msg) {
+    if (this.ws?.readyState === 1) {
+      this.ws.send(JSON.stringify(msg));
+    }
+  }
+
+  sendAwareness(clients) {
+    if (!this.awareness || !this.ws || clients.length === 0) return;
+    const update = awarenessProtocol.encodeAwarenessUpdate(this.awareness, clients);
+    this.send({ type: "awareness", update: toBase64(update) });
+  }
+
+  /**
+   * Forget the other participants; they are announced again on reconnect
+   */
+  removeRemoteAwareness() {
+    if (!this.awareness) return;
+    const remote = Array.from(this.awareness.getStates().keys()).filter(
+      (id) => id !== this.awareness.clientID
+    );
+    awarenessProtocol.removeAwarenessStates(this.awareness, remote, this);
+  }
+
+  /**
+   * Apply the locally saved document. Its edits count as local, so the
+   * ones the server lacks are sent by the handshake.
+   */
+  async restore() {
+    if (!this.persistence) return;
+    try {
+      const state = await this.persistence.load();
+      if (state) {
+        Y.applyUpdate(this.doc, state, this.persistence);
+      }
+    } catch (error) {
+      console.warn(`[CollabClient] Could not restore the saved document: ${error.message}`);
+    }
+  }
+
+  schedulePersist() {
+    if (!this.persistence || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.persist(), this.persistDelay);
+  }
+
+  async persist() {
+    if (!this.persistence) return;
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    try {
+      await this.persistence.store(Y.encodeStateAsUpdate(this.doc));
+    } catch (error) {
+      console.warn(`[CollabClient] Could not save the document: ${error.message}`);
+    }
+  }
+
+  async discardPersisted() {
+    const persistence = this.persistence;
+    if (!persistence) return;
+    this.persistence = null;
+    clearTimeout(this.persistTimer);
+    try {
+      await persistence.clear();
+    } catch (error) {
+      console.warn(`[CollabClient] Could not discard the saved document: ${error.message}`);
+    }
+  }
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(b64) {
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+export default CollabClient;
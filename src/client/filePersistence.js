@@ -0,0 +1,40 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Saves a CollabClient's document to a file (Node). Writes go to a
+ * temporary file that is then renamed, so a crash mid-write leaves the
+ * previous state intact.
+ */
+class FilePersistence {
+  constructor(file) {
+    this.file = path.resolve(file);
+    this.writing = Promise.resolve(); // stores run one at a time
+  }
+
+  async load() {
+    try {
+      return new Uint8Array(await fs.readFile(this.file));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  store(state) {
+    const write = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      await fs.writeFile(tmp, state);
+      await fs.rename(tmp, this.file);
+    });
+    this.writing = write;
+    return write;
+  }
+
+  async clear() {
+    await fs.rm(this.file, { force: true });
+  }
+}
+
+export default FilePersistence;
@@ -0,0 +1,51 @@
+const DB_NAME = "consistent-collab";
+const STORE = "documents";
+
+/**
+ * Saves a CollabClient's document in the browser's IndexedDB under
+ * `name` (e.g. the room), in the "consistent-collab" database
+ */
+class IndexedDbPersistence {
+  constructor(name, { indexedDB = globalThis.indexedDB } = {}) {
+    this.name = name;
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async load() {
+    const db = await this.open();
+    const state = await settle(db.transaction(STORE).objectStore(STORE).get(this.name));
+    return state ? new Uint8Array(state) : null;
+  }
+
+  async store(state) {
+    const db = await this.open();
+    await settle(db.transaction(STORE, "readwrite").objectStore(STORE).put(state, this.name));
+  }
+
+  async clear() {
+    const db = await this.open();
+    await settle(db.transaction(STORE, "readwrite").objectStore(STORE).delete(this.name));
+  }
+}
+
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export default IndexedDbPersistence;
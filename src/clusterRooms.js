@@ -0,0 +1,62 @@
+/**
+ * Collect { id, active, clients, size, updatedAt, instances, persisted }
+ * for rooms across the cluster: active rooms come from the instance
+ * registry, persisted ones from storage. Describes the given rooms, or
+ * all known rooms if `roomIds` is null; rooms that are neither active
+ * nor persisted are left out.
+ */
+async function describeClusterRooms(storage, registry, roomIds = null) {
+  const instances = await registry.listInstances();
+  const rooms = new Map();
+  const entry = (id) => {
+    if (!rooms.has(id)) {
+      rooms.set(id, {
+        id,
+        active: false,
+        clients: 0,
+        size: null,
+        updatedAt: null,
+        instances: [],
+        persisted: null,
+      });
+    }
+    return rooms.get(id);
+  };
+
+  for (const instance of instances) {
+    for (const [roomId, info] of Object.entries(instance.rooms)) {
+      if (roomIds && !roomIds.includes(roomId)) continue;
+      const room = entry(roomId);
+      room.active = true;
+      room.clients += info.clients;
+      room.size = Math.max(room.size ?? 0, info.size);
+      room.updatedAt = latest(room.updatedAt, info.updatedAt);
+      room.instances.push(instance.id);
+    }
+  }
+
+  for (const roomId of roomIds || (await storage.listRooms())) {
+    entry(roomId);
+  }
+
+  await Promise.all(
+    Array.from(rooms.values()).map(async (room) => {
+      room.persisted = await storage.stat(room.id);
+      room.size ??= room.persisted ? room.persisted.size : 0;
+      room.updatedAt = latest(room.updatedAt, room.persisted?.updatedAt);
+    })
+  );
+
+  return Array.from(rooms.values()).filter((room) => room.active || room.persisted);
+}
+
+/**
+ * The later of two ISO timestamps, either of which may be null
+ */
+function latest(a, b) {
+  if (!a) return b ?? null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+export { describeClusterRooms };
@@ -0,0 +1,516 @@
+import * as Y from "yjs";
+
+/**
+ * Helpers for reading and rewriting a document's top-level shared types.
+ *
+ * A document loaded from an update only knows its top-level types as
+ * untyped AbstractTypes until someone calls getText/getMap/..., so the
+ * kind ("text", "map", "array" or "xml") is inferred from the content.
+ */
+
+/**
+ * Error for an invalid patch operation
+ */
+class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PatchError";
+    this.status = 400;
+  }
+}
+
+/**
+ * Error for content that cannot be imported into a document
+ */
+class ContentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ContentError";
+    this.status = 400;
+  }
+}
+
+/**
+ * Infer the kind of a top-level shared type, or null if it is empty
+ */
+function inferKind(type) {
+  if (type instanceof Y.Text) return "text";
+  if (type instanceof Y.Map) return "map";
+  if (type instanceof Y.Array) return "array";
+  if (type instanceof Y.XmlFragment) return "xml";
+  if (type._map.size > 0) return "map";
+
+  for (let item = type._start; item !== null; item = item.right) {
+    const { content } = item;
+    if (content instanceof Y.ContentDeleted) continue;
+    if (
+      content instanceof Y.ContentString ||
+      content instanceof Y.ContentFormat ||
+      content instanceof Y.ContentEmbed
+    ) {
+      return "text";
+    }
+    if (
+      content instanceof Y.ContentType &&
+      (content.type instanceof Y.XmlElement || content.type instanceof Y.XmlText)
+    ) {
+      return "xml";
+    }
+    return "array";
+  }
+  return null;
+}
+
+/**
+ * Get (or create) a top-level shared type of the given kind
+ */
+function getSharedType(doc, name, kind) {
+  switch (kind) {
+    case "text":
+      return doc.getText(name);
+    case "map":
+      return doc.getMap(name);
+    case "array":
+      return doc.getArray(name);
+    case "xml":
+      return doc.getXmlFragment(name);
+    default:
+      throw new Error(`Unknown shared type kind: ${kind}`);
+  }
+}
+
+/**
+ * Map of name => { kind, type } for all non-empty top-level types
+ */
+function getSharedTypes(doc) {
+  const types = new Map();
+  for (const [name, type] of Array.from(doc.share)) {
+    const kind = inferKind(type);
+    if (kind) {
+      types.set(name, { kind, type: getSharedType(doc, name, kind) });
+    }
+  }
+  return types;
+}
+
+/**
+ * JSON projection of a document: text as strings, maps as objects,
+ * arrays as arrays and XML fragments as their XML string
+ */
+function docToJSON(doc) {
+  const json = {};
+  for (const [name, { kind, type }] of getSharedTypes(doc)) {
+    json[name] = kind === "xml" ? type.toString() : type.toJSON();
+  }
+  return json;
+}
+
+/**
+ * Kind of each non-empty top-level type, as name => kind
+ */
+function docKinds(doc) {
+  const kinds = {};
+  for (const [name, { kind }] of getSharedTypes(doc)) {
+    kinds[name] = kind;
+  }
+  return kinds;
+}
+
+/**
+ * Build a document from its JSON projection (see docToJSON). Strings
+ * become texts, arrays arrays and objects maps, unless `kinds` names the
+ * kind of a type; map and array values are stored as JSON. XML fragments
+ * cannot be rebuilt from their string. Throws a ContentError.
+ */
+function docFromJSON(content, kinds = {}) {
+  if (!isPlainObject(content)) {
+    throw new ContentError("content must be an object of top-level types");
+  }
+
+  const doc = new Y.Doc();
+  for (const [name, value] of Object.entries(content)) {
+    const kind = kinds?.[name] ?? jsonKind(value);
+    if (kind === "xml") {
+      doc.destroy();
+      throw new ContentError(`"${name}" is an XML fragment, which can only be imported from a Yjs update`);
+    }
+    if (!kind || kind !== jsonKind(value)) {
+      doc.destroy();
+      throw new ContentError(`"${name}" is not a valid ${kind || "top-level type"}`);
+    }
+
+    const type = getSharedType(doc, name, kind);
+    if (kind === "map") {
+      for (const [key, entry] of Object.entries(value)) {
+        type.set(key, entry);
+      }
+    } else {
+      type.insert(0, value);
+    }
+  }
+  return doc;
+}
+
+function jsonKind(value) {
+  if (typeof value === "string") return "text";
+  if (Array.isArray(value)) return "array";
+  if (isPlainObject(value)) return "map";
+  return null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Rewrite `doc` so its content equals `target`'s, touching only the
+ * parts that differ. Runs in one transaction; returns the resulting
+ * update or null if nothing changed.
+ *
+ * Replaced text ranges lose formatting attributes.
+ */
+function replaceContent(doc, target) {
+  return copyContent(doc, target, { merge: false });
+}
+
+/**
+ * Like replaceContent, but only for what `target` has: its map keys are
+ * set and its texts and arrays replaced, while other keys and types of
+ * `doc` are kept
+ */
+function mergeContent(doc, target) {
+  return copyContent(doc, target, { merge: true });
+}
+
+function copyContent(doc, target, { merge }) {
+  const current = getSharedTypes(doc);
+  const wanted = getSharedTypes(target);
+  for (const [name, { kind }] of wanted) {
+    const existing = current.get(name);
+    if (existing && existing.kind !== kind) {
+      throw new ContentError(`Shared type "${name}" is a ${existing.kind}, not a ${kind}`);
+    }
+  }
+
+  return captureUpdate(doc, () => {
+    for (const [name, { kind, type }] of wanted) {
+      const existing = current.get(name);
+      replaceType(existing ? existing.type : getSharedType(doc, name, kind), type, kind, { merge });
+    }
+    if (merge) return;
+
+    for (const [name, { kind, type }] of current) {
+      if (!wanted.has(name)) {
+        clearType(type, kind);
+      }
+    }
+  });
+}
+
+function replaceType(into, from, kind, { merge = false } = {}) {
+  switch (kind) {
+    case "text": {
+      const before = into.toString();
+      const after = from.toString();
+      if (before === after) return;
+
+      // Replace only the middle part between the common prefix and suffix
+      let prefix = 0;
+      while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+        prefix++;
+      }
+      let suffix = 0;
+      while (
+        suffix < before.length - prefix &&
+        suffix < after.length - prefix &&
+        before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+      ) {
+        suffix++;
+      }
+      into.delete(prefix, before.length - prefix - suffix);
+      into.insert(prefix, after.slice(prefix, after.length - suffix));
+      break;
+    }
+    case "map":
+      for (const [key, value] of from.entries()) {
+        if (!sameValue(into.get(key), value)) {
+          into.set(key, cloneValue(value));
+        }
+      }
+      for (const key of Array.from(into.keys())) {
+        if (!merge && !from.has(key)) {
+          into.delete(key);
+        }
+      }
+      break;
+    case "array":
+    case "xml":
+      if (!sameValue(into, from)) {
+        into.delete(0, into.length);
+        into.insert(0, from.toArray().map(cloneValue));
+      }
+      break;
+  }
+}
+
+function clearType(type, kind) {
+  if (kind === "map") {
+    for (const key of Array.from(type.keys())) {
+      type.delete(key);
+    }
+  } else {
+    type.delete(0, type.length);
+  }
+}
+
+function toComparable(value) {
+  if (value instanceof Y.XmlFragment || value instanceof Y.XmlElement) {
+    return value.toString();
+  }
+  return value instanceof Y.AbstractType ? value.toJSON() : value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(toComparable(a)) === JSON.stringify(toComparable(b));
+}
+
+function cloneValue(value) {
+  return value instanceof Y.AbstractType ? value.clone() : value;
+}
+
+/**
+ * Apply JSON-patch style operations to a document in one transaction and
+ * return the resulting update (null if nothing changed). The first path
+ * segment names the top-level shared type:
+ *
+ *   Y.Map:   { op: "add" | "replace", path: "/settings/theme", value }
+ *            { op: "remove", path: "/settings/theme" }
+ *            (nested Y.Maps are followed; values are stored as JSON)
+ *   Y.Array: { op: "add", path: "/list/2" | "/list/-", value }
+ *            { op: "remove", path: "/list/2" }
+ *   Y.Text:  { op: "insert", path: "/notes", index, value }
+ *            { op: "delete", path: "/notes", index, length }
+ *            { op: "replace", path: "/notes", value }
+ *
+ * A missing top-level type is created as a Y.Text for text operations
+ * and as a Y.Map otherwise. Throws a PatchError for invalid operations;
+ * apply it to a copy to get all-or-nothing semantics.
+ */
+function applyPatch(doc, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError("operations must be an array");
+  }
+
+  const types = getSharedTypes(doc);
+  return captureUpdate(doc, () => {
+    operations.forEach((operation, i) => {
+      try {
+        applyOperation(doc, types, operation);
+      } catch (error) {
+        throw error instanceof PatchError
+          ? new PatchError(`Operation ${i}: ${error.message}`)
+          : error;
+      }
+    });
+  });
+}
+
+const TEXT_OPS = ["insert", "delete"];
+
+function applyOperation(doc, types, { op, path, value, index, length }) {
+  if (typeof path !== "string" || !path.startsWith("/")) {
+    throw new PatchError("path must start with /");
+  }
+  const [name, ...keys] = path
+    .slice(1)
+    .split("/")
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+  if (!types.has(name)) {
+    const kind = TEXT_OPS.includes(op) || (op === "replace" && keys.length === 0) ? "text" : "map";
+    types.set(name, { kind, type: getSharedType(doc, name, kind) });
+  }
+  const { kind, type } = types.get(name);
+
+  switch (kind) {
+    case "text":
+      if (keys.length > 0) throw new PatchError(`"${name}" is a text`);
+      if (op === "insert") {
+        checkIndex(index, type.length);
+        if (typeof value !== "string") throw new PatchError("value must be a string");
+        type.insert(index, value);
+      } else if (op === "delete") {
+        checkIndex(index, type.length);
+        if (!Number.isInteger(length) || length < 0 || index + length > type.length) {
+          throw new PatchError("length out of range");
+        }
+        type.delete(index, length);
+      } else if (op === "replace") {
+        if (typeof value !== "string") throw new PatchError("value must be a string");
+        const target = new Y.Doc();
+        target.getText(name).insert(0, value);
+        replaceType(type, target.getText(name), "text");
+      } else {
+        throw new PatchError(`Unsupported operation "${op}" on a text`);
+      }
+      break;
+
+    case "map": {
+      if (keys.length === 0) throw new PatchError(`"${name}" is a map, path needs a key`);
+      let map = type;
+      for (const key of keys.slice(0, -1)) {
+        map = map.get(key);
+        if (!(map instanceof Y.Map)) {
+          throw new PatchError(`"${key}" is not a nested map`);
+        }
+      }
+      const key = keys[keys.length - 1];
+
+      if (op === "add" || op === "replace") {
+        if (value === undefined) throw new PatchError("value is required");
+        if (op === "replace" && !map.has(key)) throw new PatchError(`"${key}" does not exist`);
+        map.set(key, value);
+      } else if (op === "remove") {
+        if (!map.has(key)) throw new PatchError(`"${key}" does not exist`);
+        map.delete(key);
+      } else {
+        throw new PatchError(`Unsupported operation "${op}" on a map`);
+      }
+      break;
+    }
+
+    case "array": {
+      if (keys.length !== 1) throw new PatchError(`"${name}" is an array, path needs an index`);
+      if (op === "add") {
+        if (value === undefined) throw new PatchError("value is required");
+        const position = keys[0] === "-" ? type.length : parseInt(keys[0], 10);
+        checkIndex(position, type.length);
+        type.insert(position, [value]);
+      } else if (op === "remove") {
+        const position = parseInt(keys[0], 10);
+        checkIndex(position, type.length - 1);
+        type.delete(position, 1);
+      } else {
+        throw new PatchError(`Unsupported operation "${op}" on an array`);
+      }
+      break;
+    }
+
+    default:
+      throw new PatchError(`Cannot patch "${name}" (${kind})`);
+  }
+}
+
+function checkIndex(index, max) {
+  if (!Number.isInteger(index) || index < 0 || index > max) {
+    throw new PatchError("index out of range");
+  }
+}
+
+/**
+ * Run `fn` and return the merged update it produced on `doc`, or null
+ */
+function captureUpdate(doc, fn) {
+  const updates = [];
+  const onUpdate = (update) => updates.push(update);
+  doc.on("update", onUpdate);
+  try {
+    doc.transact(fn);
+  } finally {
+    doc.off("update", onUpdate);
+  }
+  return updates.length > 0 ? Y.mergeUpdates(updates) : null;
+}
+
+/**
+ * Run `fn` and return the names of the top-level types that the
+ * transactions it ran on `doc` changed, directly or in nested types
+ */
+function trackChangedTypes(doc, fn) {
+  const changed = new Set();
+  const onTransaction = (transaction) => {
+    for (const type of transaction.changed.keys()) {
+      let top = type;
+      while (top._item) {
+        top = top._item.parent;
+      }
+      for (const [name, shared] of doc.share) {
+        if (shared === top) changed.add(name);
+      }
+    }
+  };
+  doc.on("afterTransaction", onTransaction);
+  try {
+    fn();
+  } finally {
+    doc.off("afterTransaction", onTransaction);
+  }
+  return changed;
+}
+
+/**
+ * Create a standalone copy of a document from its encoded state
+ */
+function docFromState(state) {
+  const doc = new Y.Doc();
+  if (state) {
+    Y.applyUpdate(doc, state);
+  }
+  return doc;
+}
+
+/**
+ * List the differences between two JSON values as
+ * { op: "add" | "remove" | "replace", path, before, after } entries,
+ * with JSON-pointer paths. Objects are compared key by key; arrays and
+ * strings are replaced as a whole.
+ */
+function diffJSON(before, after, path = "") {
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+  if (isObject(before) && isObject(after)) {
+    const changes = [];
+    for (const key of Object.keys(before)) {
+      const keyPath = `${path}/${escapePointer(key)}`;
+      if (!(key in after)) {
+        changes.push({ op: "remove", path: keyPath, before: before[key] });
+      } else {
+        changes.push(...diffJSON(before[key], after[key], keyPath));
+      }
+    }
+    for (const key of Object.keys(after)) {
+      if (!(key in before)) {
+        changes.push({ op: "add", path: `${path}/${escapePointer(key)}`, after: after[key] });
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  return [{ op: "replace", path, before, after }];
+}
+
+function escapePointer(key) {
+  return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+export {
+  PatchError,
+  ContentError,
+  inferKind,
+  getSharedType,
+  getSharedTypes,
+  docToJSON,
+  docKinds,
+  docFromJSON,
+  replaceContent,
+  mergeContent,
+  applyPatch,
+  captureUpdate,
+  trackChangedTypes,
+  docFromState,
+  diffJSON,
+};
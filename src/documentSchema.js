@@ -0,0 +1,260 @@
+import fs from "fs";
+import path from "path";
+import * as Y from "yjs";
+import { globToRegExp } from "./accessPolicy.js";
+import { docFromState, getSharedType, inferKind, trackChangedTypes } from "./docContent.js";
+
+const SHARED_KINDS = ["map", "array", "text", "xml"];
+const VALUE_KINDS = [
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "null",
+  "object",
+  "list",
+  "binary",
+  "any",
+];
+
+/**
+ * Schema of a room's document, declaring its top-level shared types and
+ * the shape of the values they hold:
+ *
+ * {
+ *   "strict": true,
+ *   "types": {
+ *     "meta": {
+ *       "type": "map",
+ *       "keys": {
+ *         "title": { "type": "string", "maxLength": 200 },
+ *         "status": { "type": "string", "enum": ["draft", "published"] }
+ *       }
+ *     },
+ *     "tasks": {
+ *       "type": "array",
+ *       "items": { "type": "map", "keys": { "done": { "type": "boolean" } } }
+ *     },
+ *     "body": { "type": "text", "maxLength": 100000 }
+ *   }
+ * }
+ *
+ * A value spec's `type` is a shared type ("map", "array", "text", "xml"),
+ * a plain value ("string", "number", "integer", "boolean", "null",
+ * "object", "list" for a JSON array, "binary"), "any", or a list of them.
+ * Maps and objects take `keys` (specs per key), `additionalKeys` (false,
+ * the default when `keys` is given, or a spec for undeclared keys) and
+ * `maxKeys`; arrays and lists `items` and `maxItems`; texts and strings
+ * `maxLength`, strings also `pattern`; numbers `minimum` and `maximum`;
+ * any value `enum`. With `strict` (the default) top-level types that are
+ * not declared are rejected.
+ */
+class DocumentSchema {
+  constructor({ strict = true, types = {} } = {}) {
+    this.strict = strict;
+    this.types = {};
+    for (const [name, spec] of Object.entries(types)) {
+      this.types[name] = compileSpec(spec, name);
+      if (!this.types[name].types.every((kind) => SHARED_KINDS.includes(kind))) {
+        throw new Error(`Schema type "${name}" must be one of ${SHARED_KINDS.join(", ")}`);
+      }
+    }
+  }
+
+  /**
+   * Check an update against the schema by applying it to a copy of the
+   * document `state`. Only the top-level types it changes are checked.
+   * Returns a description of the first violation, or null.
+   */
+  validateUpdate(state, update) {
+    const doc = docFromState(state);
+    try {
+      let changed;
+      try {
+        changed = trackChangedTypes(doc, () => Y.applyUpdate(doc, update));
+      } catch (error) {
+        return `invalid update (${error.message})`;
+      }
+      if (doc.store.pendingStructs || doc.store.pendingDs) {
+        return "update depends on changes the server does not have";
+      }
+
+      for (const name of changed) {
+        const error = this.validateType(doc, name);
+        if (error) return error;
+      }
+      return null;
+    } finally {
+      doc.destroy();
+    }
+  }
+
+  validateType(doc, name) {
+    const kind = inferKind(doc.share.get(name));
+    if (!kind) return null; // empty
+
+    const spec = this.types[name];
+    if (!spec) {
+      return this.strict ? `shared type "${name}" is not allowed` : null;
+    }
+    if (!spec.types.includes(kind)) {
+      return `"${name}" must be a ${spec.types.join(" or ")}, not a ${kind}`;
+    }
+    return validateValue(spec, getSharedType(doc, name, kind), name);
+  }
+}
+
+/**
+ * Check the fields of a spec and normalize `type` to a list
+ */
+function compileSpec(spec, at) {
+  if (!spec || typeof spec !== "object") {
+    throw new Error(`Invalid schema at ${at}: expected an object`);
+  }
+  const types = [].concat(spec.type ?? "any");
+  for (const kind of types) {
+    if (!SHARED_KINDS.includes(kind) && !VALUE_KINDS.includes(kind)) {
+      throw new Error(`Invalid schema at ${at}: unknown type "${kind}"`);
+    }
+  }
+
+  const compiled = { ...spec, types };
+  if (spec.keys) {
+    compiled.keys = {};
+    for (const [key, keySpec] of Object.entries(spec.keys)) {
+      compiled.keys[key] = compileSpec(keySpec, `${at}.${key}`);
+    }
+  }
+  if (spec.additionalKeys && typeof spec.additionalKeys === "object") {
+    compiled.additionalKeys = compileSpec(spec.additionalKeys, `${at}.*`);
+  } else {
+    compiled.additionalKeys = spec.additionalKeys ?? !spec.keys;
+  }
+  if (spec.items) {
+    compiled.items = compileSpec(spec.items, `${at}[]`);
+  }
+  if (spec.pattern) {
+    compiled.pattern = new RegExp(spec.pattern);
+  }
+  return compiled;
+}
+
+/**
+ * The kind of a value held by a shared type, in schema terms
+ */
+function kindOf(value) {
+  if (value instanceof Y.Map) return "map";
+  if (value instanceof Y.Array) return "array";
+  if (value instanceof Y.Text) return "text";
+  if (value instanceof Y.XmlFragment || value instanceof Y.XmlText) return "xml";
+  if (value === null || value === undefined) return "null";
+  if (value instanceof Uint8Array) return "binary";
+  if (Array.isArray(value)) return "list";
+  return typeof value; // string, number, boolean or object
+}
+
+/**
+ * Check a value against a compiled spec; returns a description of the
+ * first violation, or null
+ */
+function validateValue(spec, value, at) {
+  const kind = kindOf(value);
+  const matches =
+    spec.types.includes("any") ||
+    spec.types.includes(kind) ||
+    (kind === "number" && spec.types.includes("integer") && Number.isInteger(value));
+  if (!matches) {
+    return `${at} must be ${spec.types.join(" or ")}, not ${kind}`;
+  }
+
+  if (spec.enum && !spec.enum.some((allowed) => allowed === value)) {
+    return `${at} must be one of ${spec.enum.map((v) => JSON.stringify(v)).join(", ")}`;
+  }
+
+  switch (kind) {
+    case "map":
+    case "object": {
+      const entries = kind === "map" ? Array.from(value.entries()) : Object.entries(value);
+      if (spec.maxKeys !== undefined && entries.length > spec.maxKeys) {
+        return `${at} has more than ${spec.maxKeys} keys`;
+      }
+      for (const [key, entry] of entries) {
+        const keySpec =
+          spec.keys && Object.hasOwn(spec.keys, key) ? spec.keys[key] : spec.additionalKeys;
+        if (keySpec === false) return `${at}.${key} is not allowed`;
+        if (keySpec === true) continue;
+        const error = validateValue(keySpec, entry, `${at}.${key}`);
+        if (error) return error;
+      }
+      return null;
+    }
+    case "array":
+    case "list": {
+      const items = kind === "array" ? value.toArray() : value;
+      if (spec.maxItems !== undefined && items.length > spec.maxItems) {
+        return `${at} has more than ${spec.maxItems} items`;
+      }
+      if (spec.items) {
+        for (let i = 0; i < items.length; i++) {
+          const error = validateValue(spec.items, items[i], `${at}[${i}]`);
+          if (error) return error;
+        }
+      }
+      return null;
+    }
+    case "text":
+    case "string": {
+      const length = value.length;
+      if (spec.maxLength !== undefined && length > spec.maxLength) {
+        return `${at} is longer than ${spec.maxLength} characters`;
+      }
+      if (kind === "string" && spec.pattern && !spec.pattern.test(value)) {
+        return `${at} does not match ${spec.pattern}`;
+      }
+      return null;
+    }
+    case "number":
+      if (spec.minimum !== undefined && value < spec.minimum) {
+        return `${at} must be at least ${spec.minimum}`;
+      }
+      if (spec.maximum !== undefined && value > spec.maximum) {
+        return `${at} must be at most ${spec.maximum}`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Schemas per room, from a JSON document of the form:
+ *
+ * {
+ *   "schemas": [
+ *     { "room": "board-*", "strict": true, "types": { ... } },
+ *     { "room": "notes", "types": { ... } }
+ *   ]
+ * }
+ *
+ * `room` is a glob where `*` matches any characters; the first matching
+ * entry applies. Rooms without a matching entry accept any update.
+ */
+class SchemaRegistry {
+  constructor({ schemas = [] } = {}) {
+    this.entries = schemas.map((entry) => ({
+      pattern: globToRegExp(entry.room ?? "*"),
+      schema: new DocumentSchema(entry),
+    }));
+  }
+
+  static fromFile(file) {
+    return new SchemaRegistry(JSON.parse(fs.readFileSync(path.resolve(file), "utf8")));
+  }
+
+  forRoom(roomId) {
+    const entry = this.entries.find(({ pattern }) => pattern.test(roomId));
+    return entry ? entry.schema : null;
+  }
+}
+
+export { DocumentSchema, SchemaRegistry };
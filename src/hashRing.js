@@ -0,0 +1,61 @@
+import crypto from "crypto";
+
+/**
+ * HashRing assigns keys to members by consistent hashing. Each member is
+ * placed at `replicas` points on a ring of 32-bit hashes and a key
+ * belongs to the member of the first point at or after the key's hash,
+ * so a member joining or leaving only moves the keys next to its points.
+ */
+class HashRing {
+  constructor(members = [], { replicas = 100 } = {}) {
+    this.members = Array.from(new Set(members)).sort();
+    this.replicas = replicas;
+    this.points = []; // { hash, member }, sorted by hash
+    for (const member of this.members) {
+      for (let i = 0; i < replicas; i++) {
+        this.points.push({ hash: hash(`${member}#${i}`), member });
+      }
+    }
+    this.points.sort((a, b) => a.hash - b.hash || a.member.localeCompare(b.member));
+  }
+
+  /**
+   * The member a key belongs to, or null if the ring is empty
+   */
+  ownerOf(key) {
+    if (this.points.length === 0) return null;
+
+    const keyHash = hash(key);
+    let low = 0;
+    let high = this.points.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this.points[middle].hash < keyHash) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return this.points[low % this.points.length].member;
+  }
+
+  without(member) {
+    return new HashRing(
+      this.members.filter((other) => other !== member),
+      { replicas: this.replicas }
+    );
+  }
+
+  equals(other) {
+    return (
+      other.members.length === this.members.length &&
+      other.members.every((member, i) => member === this.members[i])
+    );
+  }
+}
+
+function hash(value) {
+  return crypto.createHash("md5").update(value).digest().readUInt32BE(0);
+}
+
+export default HashRing;
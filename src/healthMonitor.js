@@ -0,0 +1,141 @@
+import { EventEmitter } from "events";
+import { monitorEventLoopDelay } from "perf_hooks";
+
+/**
+ * HealthMonitor decides whether the instance is ready to take traffic.
+ *
+ * Checks are registered with addCheck(name, check, { sync }); a check
+ * returns { ok, ...details }. Two are built in: "eventLoop" fails while
+ * the event loop's p99 delay over the last interval exceeds
+ * `maxEventLoopLag` ms, and "persistence" while more than
+ * `maxPersistErrorRate` of the appends recorded with recordPersist()
+ * in the last `persistErrorWindow` ms failed.
+ *
+ * Checks registered with `sync` cover cross-instance sync (Redis
+ * connections and subscriptions). While one of them fails the instance
+ * is degraded: it keeps serving its own clients, whose edits are
+ * persisted but not seen on other instances until it recovers. Checks
+ * run every `interval` ms; "degraded" ({ failing }) and "recovered" ()
+ * are emitted on the transitions.
+ */
+class HealthMonitor extends EventEmitter {
+  constructor({
+    interval = 2000,
+    maxEventLoopLag = 500,
+    maxPersistErrorRate = 0.5,
+    persistErrorWindow = 60000,
+  } = {}) {
+    super();
+    this.interval = interval;
+    this.maxEventLoopLag = maxEventLoopLag;
+    this.maxPersistErrorRate = maxPersistErrorRate;
+    this.persistErrorWindow = persistErrorWindow;
+    this.checks = new Map(); // name => { check, sync }
+    this.persists = []; // { at, ok } within persistErrorWindow
+    this.eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+    this.eventLoopLag = 0; // p99 delay of the last interval (ms)
+    this.degraded = false;
+    this.timer = null;
+
+    this.addCheck("eventLoop", () => ({
+      ok: this.eventLoopLag <= this.maxEventLoopLag,
+      lagMs: Math.round(this.eventLoopLag),
+    }));
+    this.addCheck("persistence", () => this.persistenceCheck());
+  }
+
+  addCheck(name, check, { sync = false } = {}) {
+    this.checks.set(name, { check, sync });
+  }
+
+  start() {
+    this.eventLoopDelay.enable();
+    this.timer = setInterval(() => this.tick(), this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.eventLoopDelay.disable();
+  }
+
+  tick() {
+    this.eventLoopLag = this.eventLoopDelay.percentile(99) / 1e6;
+    this.eventLoopDelay.reset();
+
+    const failing = this.failingSyncChecks(this.run());
+    if (failing.length > 0 && !this.degraded) {
+      this.degraded = true;
+      this.emit("degraded", { failing });
+    } else if (failing.length === 0 && this.degraded) {
+      this.degraded = false;
+      this.emit("recovered");
+    }
+  }
+
+  /**
+   * Record the outcome of a persisted write
+   */
+  recordPersist(ok) {
+    this.persists.push({ at: Date.now(), ok });
+    this.prunePersists();
+  }
+
+  prunePersists() {
+    const since = Date.now() - this.persistErrorWindow;
+    while (this.persists.length > 0 && this.persists[0].at < since) {
+      this.persists.shift();
+    }
+  }
+
+  persistenceCheck() {
+    this.prunePersists();
+    const failures = this.persists.filter((persist) => !persist.ok).length;
+    const errorRate = this.persists.length > 0 ? failures / this.persists.length : 0;
+    return {
+      ok: errorRate <= this.maxPersistErrorRate,
+      errorRate: Math.round(errorRate * 1000) / 1000,
+      failures,
+      writes: this.persists.length,
+    };
+  }
+
+  /**
+   * Run all checks: name => { ok, ...details }. A check that throws
+   * fails with its error.
+   */
+  run() {
+    const results = {};
+    for (const [name, { check }] of this.checks) {
+      try {
+        results[name] = check();
+      } catch (error) {
+        results[name] = { ok: false, error: error.message };
+      }
+    }
+    return results;
+  }
+
+  failingSyncChecks(results) {
+    return Object.keys(results).filter(
+      (name) => this.checks.get(name).sync && !results[name].ok
+    );
+  }
+
+  /**
+   * The readiness report: { ready, degraded, failing, checks }
+   */
+  report() {
+    const checks = this.run();
+    const failing = Object.keys(checks).filter((name) => !checks[name].ok);
+    return {
+      ready: failing.length === 0,
+      degraded: this.failingSyncChecks(checks).length > 0,
+      failing,
+      checks,
+    };
+  }
+}
+
+export default HealthMonitor;
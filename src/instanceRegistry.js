@@ -0,0 +1,85 @@
+/**
+ * InstanceRegistry makes the instances of a cluster visible to each
+ * other. Every instance writes `instance:{instanceId}` with its active
+ * rooms on each heartbeat; the key expires after a few missed
+ * heartbeats, so listing the keys yields the live instances.
+ *
+ * Without Redis (standalone), the instance only knows about itself.
+ */
+class InstanceRegistry {
+  constructor(redis, instanceId, { describeRooms, interval = 5000 }) {
+    this.redis = redis;
+    this.instanceId = instanceId;
+    this.describeRooms = describeRooms;
+    this.interval = interval;
+    this.startedAt = new Date().toISOString();
+    this.timer = null;
+  }
+
+  start() {
+    const beat = () => {
+      this.heartbeat().catch((error) => {
+        console.error(`[Registry] Heartbeat failed: ${error.message}`);
+      });
+    };
+    beat();
+    this.timer = setInterval(beat, this.interval);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.redis?.del(instanceKey(this.instanceId));
+  }
+
+  /**
+   * This instance's entry: { id, startedAt, heartbeatAt, rooms }
+   */
+  describe() {
+    return {
+      id: this.instanceId,
+      startedAt: this.startedAt,
+      heartbeatAt: new Date().toISOString(),
+      rooms: this.describeRooms(),
+    };
+  }
+
+  async heartbeat() {
+    if (!this.redis) return;
+    await this.redis.set(
+      instanceKey(this.instanceId),
+      JSON.stringify(this.describe()),
+      "PX",
+      this.interval * 3
+    );
+  }
+
+  /**
+   * List the live instances, with this instance's entry up to date
+   */
+  async listInstances() {
+    if (!this.redis) return [this.describe()];
+
+    const keys = [];
+    let cursor = "0";
+    do {
+      const [next, found] = await this.redis.scan(cursor, "MATCH", "instance:*", "COUNT", 500);
+      keys.push(...found);
+      cursor = next;
+    } while (cursor !== "0");
+
+    const entries = keys.length > 0 ? await this.redis.mget(keys) : [];
+    const instances = entries
+      .filter((entry) => entry !== null)
+      .map((entry) => JSON.parse(entry))
+      .filter((instance) => instance.id !== this.instanceId);
+    return [this.describe(), ...instances];
+  }
+}
+
+function instanceKey(instanceId) {
+  return `instance:${instanceId}`;
+}
+
+export default InstanceRegistry;
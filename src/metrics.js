@@ -28,4 +28,196 @@ const messagesSent = new client.Counter({
   registers: [register],
 });
 
-export { register, activeRooms, connectedClients, updatesTotal, messagesSent };
+const updatesRejected = new client.Counter({
+  name: "collab_updates_rejected_total",
+  help: "Total number of rejected updates, by reason",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+const clientResyncs = new client.Counter({
+  name: "collab_client_resyncs_total",
+  help: "Total number of resyncs of clients that fell behind on updates",
+  registers: [register],
+});
+
+const reconcileDiffs = new client.Counter({
+  name: "collab_reconcile_diffs_total",
+  help: "Total number of diffs sent to instances that were missing updates",
+  registers: [register],
+});
+
+const webhookDeliveries = new client.Counter({
+  name: "collab_webhook_deliveries_total",
+  help: "Total number of webhook delivery attempts, by result",
+  labelNames: ["result"],
+  registers: [register],
+});
+
+const errorsTotal = new client.Counter({
+  name: "collab_errors_total",
+  help: "Total number of errors, by type",
+  labelNames: ["type"],
+  registers: [register],
+});
+
+const publishFailures = new client.Counter({
+  name: "collab_redis_publish_failures_total",
+  help: "Total number of failed publishes to Redis, by channel (pubsub or stream)",
+  labelNames: ["channel"],
+  registers: [register],
+});
+
+const messagesRejected = new client.Counter({
+  name: "collab_messages_rejected_total",
+  help: "Total number of client messages that could not be handled, by reason",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+const reconnectsTotal = new client.Counter({
+  name: "collab_reconnects_total",
+  help: "Total number of connections from clients reconnecting after a lost connection",
+  registers: [register],
+});
+
+const updateApplyDuration = new client.Histogram({
+  name: "collab_update_apply_seconds",
+  help: "Time to apply an update to a room's document, by source (local or remote)",
+  labelNames: ["source"],
+  buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5],
+  registers: [register],
+});
+
+const fanoutLatency = new client.Histogram({
+  name: "collab_server_fanout_latency_seconds",
+  help: "Time from an update's arrival at its origin instance to handing it to the clients' sockets here, by origin (local or remote)",
+  labelNames: ["origin"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+const persistDuration = new client.Histogram({
+  name: "collab_persist_duration_seconds",
+  help: "Duration of storage operations, by operation (load, append or snapshot)",
+  labelNames: ["operation"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register],
+});
+
+const updateSize = new client.Histogram({
+  name: "collab_update_size_bytes",
+  help: "Size of updates applied on this instance",
+  buckets: client.exponentialBuckets(64, 4, 10),
+  registers: [register],
+});
+
+const snapshotSize = new client.Histogram({
+  name: "collab_snapshot_size_bytes",
+  help: "Size of snapshots written by compaction",
+  buckets: client.exponentialBuckets(1024, 4, 10),
+  registers: [register],
+});
+
+const roomUpdates = new client.Counter({
+  name: "collab_room_updates_total",
+  help: "Total number of updates received on this instance, by room",
+  labelNames: ["room"],
+  registers: [register],
+});
+
+const roomUpdateBytes = new client.Counter({
+  name: "collab_room_update_bytes_total",
+  help: "Total size of updates received on this instance, by room",
+  labelNames: ["room"],
+  registers: [register],
+});
+
+const roomClients = new client.Gauge({
+  name: "collab_room_clients",
+  help: "Number of connected clients, by room",
+  labelNames: ["room"],
+  registers: [register],
+});
+
+// Label of the rooms beyond the cap of per-room metrics
+const OTHER_ROOMS = "_other";
+
+/**
+ * Per-room metrics, off when `maxRooms` is 0. To bound the number of
+ * series, only the first `maxRooms` rooms active on this instance get
+ * their own `room` label; the others are counted together as "_other".
+ * A room's series are removed, freeing its slot, when it is evicted;
+ * client changes reported for it afterwards are ignored.
+ */
+class RoomMetrics {
+  constructor({ maxRooms = 0 } = {}) {
+    this.enabled = maxRooms > 0;
+    this.maxRooms = maxRooms;
+    this.labelled = new Set(); // rooms with their own label
+    this.unlabelled = new Set(); // rooms counted as "_other" until evicted
+    this.clients = new Map(); // roomId => clients counted in the gauge
+  }
+
+  label(roomId) {
+    if (this.labelled.has(roomId)) return roomId;
+    if (!this.unlabelled.has(roomId)) {
+      if (this.labelled.size < this.maxRooms) {
+        this.labelled.add(roomId);
+        return roomId;
+      }
+      this.unlabelled.add(roomId);
+    }
+    return OTHER_ROOMS;
+  }
+
+  updateReceived(roomId, bytes) {
+    if (!this.enabled) return;
+    const room = this.label(roomId);
+    roomUpdates.inc({ room });
+    roomUpdateBytes.inc({ room }, bytes);
+  }
+
+  clientsChanged(roomId, delta) {
+    if (!this.enabled) return;
+    const count = this.clients.get(roomId) ?? 0;
+    if (count + delta < 0) return; // left after the room was forgotten
+    this.clients.set(roomId, count + delta);
+    roomClients.inc({ room: this.label(roomId) }, delta);
+  }
+
+  forget(roomId) {
+    const count = this.clients.get(roomId) ?? 0;
+    this.clients.delete(roomId);
+    if (this.unlabelled.delete(roomId)) {
+      if (count > 0) roomClients.dec({ room: OTHER_ROOMS }, count);
+      return;
+    }
+    if (!this.labelled.delete(roomId)) return;
+    roomUpdates.remove({ room: roomId });
+    roomUpdateBytes.remove({ room: roomId });
+    roomClients.remove({ room: roomId });
+  }
+}
+
+export {
+  register,
+  activeRooms,
+  connectedClients,
+  updatesTotal,
+  messagesSent,
+  updatesRejected,
+  clientResyncs,
+  reconcileDiffs,
+  webhookDeliveries,
+  errorsTotal,
+  publishFailures,
+  messagesRejected,
+  reconnectsTotal,
+  updateApplyDuration,
+  fanoutLatency,
+  persistDuration,
+  updateSize,
+  snapshotSize,
+  RoomMetrics,
+};
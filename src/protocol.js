@@ -0,0 +1,274 @@
+import * as encoding from "lib0/encoding";
+import * as decoding from "lib0/decoding";
+import * as syncProtocol from "y-protocols/sync";
+import * as authProtocol from "y-protocols/auth";
+
+/**
+ * Wire protocols spoken on a WebSocket connection.
+ *
+ * Each protocol decodes incoming frames into protocol-neutral messages:
+ *   { type: "syncStep1", stateVector }
+ *   { type: "syncStep2", update }
+ *   { type: "update", update }
+ *   { type: "awareness", update }
+ *   { type: "queryAwareness" }
+ *   { type: "undo" } / { type: "redo" }
+ * and encodes outgoing messages into frames. Updates, state vectors and
+ * awareness updates are Uint8Arrays on both sides.
+ */
+
+// y-websocket message types
+const messageSync = 0;
+const messageAwareness = 1;
+const messageAuth = 2;
+const messageQueryAwareness = 3;
+
+/**
+ * WebSocket close codes sent by the server (4000-4999 are reserved for
+ * applications)
+ */
+const CloseCode = Object.freeze({
+  POLICY_VIOLATION: 1008,
+  ROOM_DELETED: 4000,
+  ROOM_EVICTED: 4001,
+  ROOM_MOVED: 4002,
+  SERVICE_RESTART: 1012,
+  TRY_AGAIN_LATER: 1013,
+});
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString("base64");
+const fromBase64 = (b64) => new Uint8Array(Buffer.from(b64, "base64"));
+
+/**
+ * JSON text frames with base64 payloads, as used by client.html.
+ * Version 1 clients get a one-way snapshot on join, version 2 clients
+ * take part in the state-vector handshake.
+ */
+function createJsonProtocol(version) {
+  return {
+    name: `json/${version}`,
+    handshake: version >= 2,
+
+    decode(raw, isBinary) {
+      if (isBinary) {
+        throw new Error("Binary frame on a JSON connection");
+      }
+      const msg = JSON.parse(raw.toString());
+
+      if (msg.type === "update" && msg.update) {
+        return { type: "update", update: fromBase64(msg.update) };
+      }
+      if (msg.type === "sync" && msg.action === "step1" && msg.stateVector) {
+        return { type: "syncStep1", stateVector: fromBase64(msg.stateVector) };
+      }
+      if (msg.type === "sync" && msg.action === "step2" && msg.update) {
+        return { type: "syncStep2", update: fromBase64(msg.update) };
+      }
+      if (msg.type === "awareness" && msg.update) {
+        return { type: "awareness", update: fromBase64(msg.update) };
+      }
+      if (msg.type === "undo" || msg.type === "redo") {
+        return { type: msg.type };
+      }
+      return null;
+    },
+
+    encodeSnapshot(update) {
+      return JSON.stringify({
+        type: "sync",
+        action: "snapshot",
+        update: toBase64(update),
+      });
+    },
+
+    encodeSyncStep1(stateVector) {
+      return JSON.stringify({
+        type: "sync",
+        action: "step1",
+        stateVector: toBase64(stateVector),
+      });
+    },
+
+    encodeSyncStep2(update) {
+      return JSON.stringify({
+        type: "sync",
+        action: "step2",
+        update: toBase64(update),
+      });
+    },
+
+    encodeUpdate(update, originInstance) {
+      return JSON.stringify({
+        type: "sync",
+        action: "update",
+        update: toBase64(update),
+        originInstance,
+      });
+    },
+
+    encodeAwareness(update) {
+      return JSON.stringify({ type: "awareness", update: toBase64(update) });
+    },
+
+    encodeError(code, message) {
+      return JSON.stringify({ type: "error", code, message });
+    },
+
+    encodeReconnect(delay) {
+      return JSON.stringify({ type: "reconnect", delay });
+    },
+
+    encodeServiceStatus({ crossInstanceSync }) {
+      return JSON.stringify({ type: "status", crossInstanceSync });
+    },
+
+    encodeHistoryResult(action, changed) {
+      return JSON.stringify({ type: "history", action, changed });
+    },
+  };
+}
+
+/**
+ * lib0-encoded binary frames of the standard y-websocket protocol, so
+ * y-websocket's WebsocketProvider can connect directly
+ */
+const binaryProtocol = {
+  name: "binary",
+  handshake: true,
+
+  decode(raw) {
+    const decoder = decoding.createDecoder(new Uint8Array(raw));
+    const messageType = decoding.readVarUint(decoder);
+
+    switch (messageType) {
+      case messageSync: {
+        const syncType = decoding.readVarUint(decoder);
+        const payload = decoding.readVarUint8Array(decoder);
+        if (syncType === syncProtocol.messageYjsSyncStep1) {
+          return { type: "syncStep1", stateVector: payload };
+        }
+        if (syncType === syncProtocol.messageYjsSyncStep2) {
+          return { type: "syncStep2", update: payload };
+        }
+        if (syncType === syncProtocol.messageYjsUpdate) {
+          return { type: "update", update: payload };
+        }
+        throw new Error(`Unknown sync message type: ${syncType}`);
+      }
+      case messageAwareness:
+        return { type: "awareness", update: decoding.readVarUint8Array(decoder) };
+      case messageQueryAwareness:
+        return { type: "queryAwareness" };
+      case messageAuth:
+        // Clients never send auth messages
+        return null;
+      default:
+        throw new Error(`Unknown message type: ${messageType}`);
+    }
+  },
+
+  encodeSyncStep1(stateVector) {
+    return encodeSyncMessage(syncProtocol.messageYjsSyncStep1, stateVector);
+  },
+
+  encodeSyncStep2(update) {
+    return encodeSyncMessage(syncProtocol.messageYjsSyncStep2, update);
+  },
+
+  encodeUpdate(update) {
+    return encodeSyncMessage(syncProtocol.messageYjsUpdate, update);
+  },
+
+  encodeAwareness(update) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageAwareness);
+    encoding.writeVarUint8Array(encoder, update);
+    return encoding.toUint8Array(encoder);
+  },
+
+  encodeError(code, message) {
+    // y-websocket only knows "permission denied"; other errors use the
+    // same frame so the provider at least logs the reason
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageAuth);
+    authProtocol.writePermissionDenied(encoder, `${code}: ${message}`);
+    return encoding.toUint8Array(encoder);
+  },
+
+  encodeReconnect() {
+    // No such message in y-websocket; the provider reconnects when the
+    // connection is closed
+    return null;
+  },
+
+  encodeServiceStatus() {
+    return null;
+  },
+
+  encodeHistoryResult() {
+    // y-websocket has no undo messages, so clients never ask
+    return null;
+  },
+};
+
+function encodeSyncMessage(syncType, payload) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageSync);
+  encoding.writeVarUint(encoder, syncType);
+  encoding.writeVarUint8Array(encoder, payload);
+  return encoding.toUint8Array(encoder);
+}
+
+/**
+ * A connection URL that cannot be parsed; the upgrade is rejected with
+ * `statusCode`
+ */
+class ConnectionParamsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConnectionParamsError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Parse room, client ID and wire protocol from a connection URL.
+ *
+ * JSON clients pass `?room=`; y-websocket providers put the room name in
+ * the path (`ws://host/ROOM`) and get the binary protocol unless
+ * `protocol` says otherwise. `protocol` is "1", "2" (JSON) or "binary".
+ * Clients pass `reconnect=1` when reopening a lost connection. Throws a
+ * ConnectionParamsError for malformed URLs.
+ */
+function parseConnectionParams(req) {
+  let url;
+  let pathRoom;
+  try {
+    url = new URL(req.url, `ws://${req.headers.host}`);
+    pathRoom = decodeURIComponent(url.pathname.slice(1));
+  } catch (error) {
+    throw new ConnectionParamsError(`Malformed connection URL: ${error.message}`);
+  }
+  const roomId = url.searchParams.get("room") || pathRoom || null;
+  const clientId = url.searchParams.get("clientId");
+  const reconnect = url.searchParams.get("reconnect") === "1";
+
+  const requested =
+    url.searchParams.get("protocol") ||
+    (url.searchParams.get("room") || !pathRoom ? "1" : "binary");
+
+  const protocol =
+    requested === "binary"
+      ? binaryProtocol
+      : createJsonProtocol(parseInt(requested, 10) || 1);
+
+  return { roomId, clientId, protocol, reconnect };
+}
+
+export {
+  CloseCode,
+  ConnectionParamsError,
+  createJsonProtocol,
+  binaryProtocol,
+  parseConnectionParams,
+};
@@ -0,0 +1,110 @@
+// Take `cost` tokens from a bucket hash { tokens, ts } refilled at
+// ARGV[1] tokens per second up to ARGV[2], using Redis' clock so all
+// instances agree on the refill
+const TAKE_TOKEN_SCRIPT = `
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local tokens = tonumber(redis.call("HGET", KEYS[1], "tokens"))
+local ts = tonumber(redis.call("HGET", KEYS[1], "ts"))
+if tokens == nil or ts == nil then
+  tokens = burst
+  ts = now
+end
+tokens = math.min(burst, tokens + (now - ts) * rate / 1000)
+
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "ts", now)
+redis.call("PEXPIRE", KEYS[1], math.ceil(burst / rate * 1000) + 1000)
+return allowed
+`;
+
+/**
+ * A token bucket holding up to `burst` tokens, refilled at `rate`
+ * tokens per second
+ */
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.ts = Date.now();
+  }
+
+  take(cost = 1) {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.ts) * this.rate) / 1000);
+    this.ts = now;
+
+    if (this.tokens < cost) return false;
+    this.tokens -= cost;
+    return true;
+  }
+}
+
+/**
+ * RateLimiter enforces token-bucket limits on updates; each update takes
+ * one token. A rate of 0 disables the limit.
+ *
+ * Client buckets belong to one connection, which lives on one instance,
+ * so they are kept in memory. Room buckets are shared through Redis
+ * (`room:{roomId}:rate`) so a room gets the same budget however many
+ * instances serve it; a standalone instance keeps them in memory.
+ */
+class RateLimiter {
+  constructor(redis, { clientRate = 0, clientBurst = 0, roomRate = 0, roomBurst = 0 } = {}) {
+    this.redis = redis;
+    this.clientRate = clientRate;
+    this.clientBurst = clientBurst || clientRate;
+    this.roomRate = roomRate;
+    this.roomBurst = roomBurst || roomRate;
+    this.roomBuckets = new Map(); // roomId => TokenBucket, without Redis
+  }
+
+  /**
+   * Create the bucket for a new connection, or null if unlimited
+   */
+  createClientBucket() {
+    return this.clientRate > 0 ? new TokenBucket(this.clientRate, this.clientBurst) : null;
+  }
+
+  /**
+   * Take a token from the room's bucket; returns whether one was left
+   */
+  async takeRoomToken(roomId) {
+    if (this.roomRate <= 0) return true;
+
+    if (this.redis) {
+      const allowed = await this.redis.eval(
+        TAKE_TOKEN_SCRIPT,
+        1,
+        `room:${roomId}:rate`,
+        this.roomRate,
+        this.roomBurst,
+        1
+      );
+      return allowed === 1;
+    }
+
+    if (!this.roomBuckets.has(roomId)) {
+      this.roomBuckets.set(roomId, new TokenBucket(this.roomRate, this.roomBurst));
+    }
+    return this.roomBuckets.get(roomId).take();
+  }
+
+  /**
+   * Drop the in-memory bucket of a room that is no longer active
+   */
+  forgetRoom(roomId) {
+    this.roomBuckets.delete(roomId);
+  }
+}
+
+export default RateLimiter;
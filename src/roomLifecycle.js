@@ -0,0 +1,241 @@
+import fs from "fs";
+import path from "path";
+import { globToRegExp } from "./accessPolicy.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Lifecycle policies per room, from a JSON document of the form:
+ *
+ * {
+ *   "policies": [
+ *     { "room": "scratch-*", "idleTimeout": 10000, "deleteAfterDays": 7 },
+ *     { "room": "*", "maxDocumentSize": 5242880, "archiveAfterDays": 30 }
+ *   ]
+ * }
+ *
+ * `idleTimeout` is how long a room without clients stays in memory (ms)
+ * and `maxDocumentSize` the encoded size at which updates adding content
+ * are rejected (bytes, 0 for no limit). Persisted rooms not updated for
+ * `deleteAfterDays` days are deleted, and ones not updated for
+ * `archiveAfterDays` days moved to the archive. `room` is a glob where
+ * `*` matches any characters; the first matching entry applies and
+ * settings it leaves out take the `defaults`.
+ */
+class LifecyclePolicies {
+  constructor({ policies = [] } = {}, defaults = {}) {
+    this.defaults = {
+      idleTimeout: 60000,
+      maxDocumentSize: 0,
+      deleteAfter: null,
+      archiveAfter: null,
+      ...compilePolicy(defaults, "defaults"),
+    };
+    this.entries = policies.map((entry) => ({
+      pattern: globToRegExp(entry.room ?? "*"),
+      policy: { ...this.defaults, ...compilePolicy(entry, entry.room ?? "*") },
+    }));
+  }
+
+  static fromFile(file, defaults) {
+    return new LifecyclePolicies(JSON.parse(fs.readFileSync(path.resolve(file), "utf8")), defaults);
+  }
+
+  /**
+   * The policy of a room: { idleTimeout, maxDocumentSize, deleteAfter,
+   * archiveAfter }, the last two in ms or null
+   */
+  forRoom(roomId) {
+    const entry = this.entries.find(({ pattern }) => pattern.test(roomId));
+    return entry ? entry.policy : this.defaults;
+  }
+
+  /**
+   * Whether any policy deletes or archives persisted rooms
+   */
+  get expiresRooms() {
+    return [this.defaults, ...this.entries.map((entry) => entry.policy)].some(
+      (policy) => policy.deleteAfter !== null || policy.archiveAfter !== null
+    );
+  }
+}
+
+/**
+ * Check a policy entry's settings and convert days to ms; only the
+ * settings it has are returned. A null age means never.
+ */
+function compilePolicy(entry, room) {
+  const policy = {};
+  const setting = (name, value) => {
+    if (typeof value !== "number" || !(value >= 0)) {
+      throw new Error(`Invalid lifecycle policy for "${room}": ${name} must be a non-negative number`);
+    }
+    return value;
+  };
+
+  if (entry.idleTimeout !== undefined) {
+    policy.idleTimeout = setting("idleTimeout", entry.idleTimeout);
+  }
+  if (entry.maxDocumentSize !== undefined) {
+    policy.maxDocumentSize = setting("maxDocumentSize", entry.maxDocumentSize);
+  }
+  if (entry.deleteAfterDays !== undefined) {
+    policy.deleteAfter =
+      entry.deleteAfterDays == null ? null : setting("deleteAfterDays", entry.deleteAfterDays) * DAY;
+  }
+  if (entry.archiveAfterDays !== undefined) {
+    policy.archiveAfter =
+      entry.archiveAfterDays == null ? null : setting("archiveAfterDays", entry.archiveAfterDays) * DAY;
+  }
+  return policy;
+}
+
+/**
+ * RoomLifecycle applies the policies to persisted rooms every `interval`
+ * ms. Rooms no instance holds whose last update is older than their
+ * policy's `deleteAfterDays` are deleted with `deleteRoom(roomId)`;
+ * rooms older than `archiveAfterDays` are moved from storage into the
+ * archive, with their versions. Expired archives are deleted as well.
+ *
+ * A room is archived under its "lifecycle" storage lock, which
+ * RoomManager takes to restore it, so a room that is joined while it is
+ * archived is restored once the archive is complete.
+ */
+class RoomLifecycle {
+  constructor(
+    storage,
+    archive,
+    policies,
+    { roomManager, registry, deleteRoom, interval = 3600000 }
+  ) {
+    this.storage = storage;
+    this.archive = archive;
+    this.policies = policies;
+    this.roomManager = roomManager;
+    this.registry = registry;
+    this.deleteRoom = deleteRoom;
+    this.interval = interval;
+    this.lockTimeout = 60000;
+    this.timer = null;
+    this.sweeping = null;
+    this.stopping = false;
+  }
+
+  start() {
+    if (!this.policies.expiresRooms) return;
+
+    this.timer = setInterval(() => {
+      if (this.sweeping) return;
+      this.sweeping = this.sweep()
+        .catch((error) => {
+          console.error(`[Lifecycle] Sweep failed: ${error.message}`);
+        })
+        .finally(() => {
+          this.sweeping = null;
+        });
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.sweeping;
+  }
+
+  /**
+   * Delete or archive the persisted rooms and archives whose policy says so
+   */
+  async sweep() {
+    const active = await this.activeRooms();
+    let deleted = 0;
+    let archived = 0;
+
+    for (const roomId of await this.storage.listRooms()) {
+      if (this.stopping) return;
+      if (active.has(roomId)) continue;
+      const { deleteAfter, archiveAfter } = this.policies.forRoom(roomId);
+      if (deleteAfter === null && archiveAfter === null) continue;
+
+      try {
+        const stat = await this.storage.stat(roomId);
+        if (!stat?.updatedAt) continue;
+        const age = Date.now() - Date.parse(stat.updatedAt);
+
+        if (deleteAfter !== null && age >= deleteAfter) {
+          await this.deleteRoom(roomId);
+          await this.archive.delete(roomId);
+          deleted++;
+        } else if (archiveAfter !== null && age >= archiveAfter) {
+          if (await this.archiveRoom(roomId, stat)) archived++;
+        }
+      } catch (error) {
+        console.error(`[Lifecycle] Error sweeping room ${roomId}: ${error.message}`);
+      }
+    }
+
+    for (const { roomId, updatedAt } of await this.archive.list()) {
+      const { deleteAfter } = this.policies.forRoom(roomId);
+      if (deleteAfter !== null && Date.now() - Date.parse(updatedAt) >= deleteAfter) {
+        await this.archive.delete(roomId);
+        deleted++;
+      }
+    }
+
+    if (deleted > 0 || archived > 0) {
+      console.log(`[Lifecycle] Deleted ${deleted} and archived ${archived} rooms`);
+    }
+  }
+
+  /**
+   * Rooms held or being loaded by any instance
+   */
+  async activeRooms() {
+    const active = new Set(this.roomManager.loading.keys());
+    for (const instance of await this.registry.listInstances()) {
+      for (const roomId of Object.keys(instance.rooms)) {
+        active.add(roomId);
+      }
+    }
+    return active;
+  }
+
+  /**
+   * Move a room's state and versions from storage to the archive, unless
+   * it was updated or loaded meanwhile. Returns whether it was archived.
+   */
+  async archiveRoom(roomId, stat) {
+    const lock = await this.storage.tryLock(roomId, this.lockTimeout, "lifecycle");
+    if (!lock) return false; // another instance is sweeping it
+
+    try {
+      if (this.roomManager.getRoom(roomId) || this.roomManager.loading.has(roomId)) {
+        return false;
+      }
+
+      // Includes what an earlier archive of the room holds
+      const state = await this.roomManager.getState(roomId);
+      const previous = await this.archive.read(roomId);
+      const versions = previous ? previous.versions : [];
+      for (const version of await this.storage.listVersions(roomId)) {
+        const stored = await this.storage.loadVersion(roomId, version.id);
+        if (stored) versions.push(stored);
+      }
+      await this.archive.write(roomId, { state, versions, updatedAt: stat.updatedAt });
+
+      const current = await this.storage.stat(roomId);
+      if (current?.updatedAt !== stat.updatedAt) {
+        await this.archive.delete(roomId);
+        return false;
+      }
+      await this.storage.delete(roomId);
+      console.log(`[Lifecycle] Archived room ${roomId} (last updated ${stat.updatedAt})`);
+      return true;
+    } finally {
+      await this.storage.unlock(roomId, lock, "lifecycle");
+    }
+  }
+}
+
+export { LifecyclePolicies, RoomLifecycle };
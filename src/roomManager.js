@@ -1,48 +1,201 @@
+import { EventEmitter } from "events";
 import * as Y from "yjs";
-import { activeRooms } from "./metrics.js";
+import { Awareness } from "y-protocols/awareness";
+import { activeRooms, errorsTotal, persistDuration, snapshotSize } from "./metrics.js";
 
 /**
  * RoomManager handles the lifecycle of collaboration rooms,
  * including document creation, persistence, and eviction.
+ *
+ * Persistence goes through a storage adapter (see storage/index.js) as
+ * an append-only update log per room that a background compactor folds
+ * into the room's snapshot once it grows past a size or count threshold.
+ * Appends are atomic and compaction only drops what it folded, so
+ * several instances can persist the same room safely. Updates are
+ * queued and appended as one merged update once the room has been quiet
+ * for `persistDebounce` ms, but at most `persistMaxDelay` ms after the
+ * first queued one.
+ *
+ * `beforeLoad(roomId)` is awaited before a room's state is read, so
+ * whatever delivers the room's changes from elsewhere can be set up
+ * without a gap between the read and the first change it delivers.
+ *
+ * Rooms without clients are evicted after `evictionTimeout(roomId)` ms.
+ * Rooms moved to the `archive` (see roomLifecycle.js) are restored into
+ * storage when they are loaded again.
+ *
+ * With sharding, `remoteOwner(roomId)` names the instance owning a room
+ * when it is not this one. Such rooms are loaded as proxies: `owner` is
+ * set and the document stays empty, as the owner holds and persists it;
+ * the proxy only keeps the room's clients and awareness.
+ *
+ * Emits "awareness" (roomId, changes, origin) whenever a room's
+ * awareness states are added, updated or removed, "loaded" (roomId,
+ * { created, proxy }) when a room is loaded, `created` if nothing was
+ * persisted for it, and "evicted" (roomId, { reason }) when it is dropped from
+ * memory, `reason` being "idle", "evicted" or "deleted". Each append to
+ * the update log emits "persisted" (roomId, { ok }).
  */
-class RoomManager {
-  constructor(redisClient) {
-    this.rooms = new Map(); // roomId => { doc: Y.Doc, clients: Set<WebSocket> }
-    this.redis = redisClient;
-    this.evictionTimeout = 60000; // 60 seconds
+class RoomManager extends EventEmitter {
+  constructor(
+    storage,
+    {
+      compactMaxUpdates = 500,
+      compactMaxBytes = 1024 * 1024,
+      persistDebounce = 200,
+      persistMaxDelay = 1000,
+      beforeLoad = async () => {},
+      remoteOwner = () => null,
+      evictionTimeout = () => 60000,
+      archive = null,
+    } = {}
+  ) {
+    super();
+    this.rooms = new Map(); // roomId => { doc: Y.Doc, awareness: Awareness, clients: Set<WebSocket>, owner, updatedAt, size }
+    this.loading = new Map(); // roomId => Promise<room> while loading
+    this.closing = new Map(); // roomId => Promise while closing
+    this.storage = storage;
+    this.evictionTimeout = evictionTimeout;
     this.evictionTimers = new Map(); // roomId => timer
+    this.compactMaxUpdates = compactMaxUpdates;
+    this.compactMaxBytes = compactMaxBytes;
+    this.compactLockTimeout = 30000; // 30 seconds
+    this.compactions = new Map(); // roomId => Promise while compacting
+    this.pendingWrites = new Set(); // in-flight appends
+    this.persistDebounce = persistDebounce;
+    this.persistMaxDelay = persistMaxDelay;
+    this.queuedUpdates = new Map(); // roomId => { updates, deadline, timer }
+    this.beforeLoad = beforeLoad;
+    this.remoteOwner = remoteOwner;
+    this.archive = archive;
+    this.lifecycleLockTimeout = 60000;
   }
 
   /**
    * Get or create a room, loading persisted state if available
    */
   async ensureRoom(roomId) {
+    // Rooms being closed are reloaded once they are gone
+    if (this.closing.has(roomId)) {
+      await this.closing.get(roomId);
+    }
+
     if (this.rooms.has(roomId)) {
       this.cancelEviction(roomId);
       return this.rooms.get(roomId);
     }
 
+    // Concurrent joins share one load
+    if (!this.loading.has(roomId)) {
+      const load = this.loadRoom(roomId).finally(() => this.loading.delete(roomId));
+      this.loading.set(roomId, load);
+    }
+    return this.loading.get(roomId);
+  }
+
+  /**
+   * Create a room from its persisted snapshot plus the update log tail
+   */
+  async loadRoom(roomId) {
     const doc = new Y.Doc();
     const clients = new Set();
 
-    // Try to load persisted snapshot from Redis
-    const key = `room:${roomId}:state`;
+    await this.beforeLoad(roomId);
+
+    // Proxies hold no state of their own
+    const owner = this.remoteOwner(roomId);
+    const created = owner ? false : await this.loadState(roomId, doc);
+
+    // Awareness (presence, cursors) is ephemeral and never persisted.
+    // The server has no presence of its own, only relays client states.
+    const awareness = new Awareness(doc);
+    awareness.setLocalState(null);
+    awareness.on("update", (changes, origin) => {
+      this.emit("awareness", roomId, changes, origin);
+    });
+
+    // `size` starts exact and grows by each update's size, which
+    // overestimates it; see getDocumentSize
+    const room = {
+      doc,
+      awareness,
+      clients,
+      owner,
+      updatedAt: null,
+      size: Y.encodeStateAsUpdate(doc).length,
+    };
+    doc.on("update", (update) => {
+      room.updatedAt = Date.now();
+      room.size += update.length;
+    });
+    this.rooms.set(roomId, room);
+    activeRooms.set(this.rooms.size);
+    this.emit("loaded", roomId, { created, proxy: owner !== null });
+
+    return room;
+  }
+
+  /**
+   * Apply a room's persisted snapshot and update log to `doc`. Returns
+   * whether nothing was persisted for the room.
+   */
+  async loadState(roomId, doc) {
+    let created = false;
     try {
-      const snapshot = await this.redis.get(key);
-      if (snapshot) {
-        const buffer = Buffer.from(snapshot, "base64");
-        Y.applyUpdate(doc, buffer);
-        console.log(`[RoomManager] Loaded persisted state for room: ${roomId}`);
+      await this.restoreArchived(roomId);
+      const endLoad = persistDuration.startTimer({ operation: "load" });
+      const { snapshot, updates } = await this.storage.load(roomId);
+      endLoad();
+      created = !snapshot && updates.length === 0;
+
+      doc.transact(() => {
+        if (snapshot) {
+          Y.applyUpdate(doc, snapshot);
+        }
+        for (const update of updates) {
+          Y.applyUpdate(doc, update);
+        }
+      });
+
+      if (snapshot || updates.length > 0) {
+        console.log(
+          `[RoomManager] Loaded persisted state for room: ${roomId} (${updates.length} logged updates)`
+        );
       }
     } catch (error) {
       console.error(`[RoomManager] Error loading room state: ${error.message}`);
+      errorsTotal.inc({ type: "load" });
     }
+    return created;
+  }
 
-    const room = { doc, clients };
-    this.rooms.set(roomId, room);
-    activeRooms.set(this.rooms.size);
+  /**
+   * Move an archived room back into storage. Its state is appended to
+   * the update log, so it merges with anything written since it was
+   * archived. Waits while the room is being archived.
+   */
+  async restoreArchived(roomId) {
+    if (!this.archive || !(await this.archive.has(roomId))) return;
 
-    return room;
+    let lock;
+    while (!(lock = await this.storage.tryLock(roomId, this.lifecycleLockTimeout, "lifecycle"))) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    try {
+      const archived = await this.archive.read(roomId);
+      if (!archived) return; // restored meanwhile
+
+      await this.storage.appendUpdate(roomId, archived.state);
+      for (const { version, state } of archived.versions) {
+        await this.storage.saveVersion(roomId, version, state);
+      }
+      await this.archive.delete(roomId);
+      console.log(
+        `[RoomManager] Restored archived room: ${roomId} (archived ${archived.archivedAt})`
+      );
+    } finally {
+      await this.storage.unlock(roomId, lock, "lifecycle");
+    }
   }
 
   /**
@@ -72,21 +225,138 @@ class RoomManager {
   }
 
   /**
-   * Persist room state to Redis
+   * Queue an update for the room's persisted log (document only,
+   * awareness is not stored). Only the instance that received an update
+   * from a client persists it.
    */
-  async persistRoom(roomId) {
-    const room = this.rooms.get(roomId);
-    if (!room) return;
+  queueUpdate(roomId, update) {
+    let queued = this.queuedUpdates.get(roomId);
+    if (!queued) {
+      queued = { updates: [], deadline: Date.now() + this.persistMaxDelay, timer: null };
+      this.queuedUpdates.set(roomId, queued);
+    }
+    queued.updates.push(update);
+
+    clearTimeout(queued.timer);
+    const delay = Math.min(this.persistDebounce, queued.deadline - Date.now());
+    queued.timer = setTimeout(() => this.persistQueued(roomId), Math.max(0, delay));
+  }
+
+  /**
+   * Append the room's queued updates now, merged into one
+   */
+  async persistQueued(roomId) {
+    const queued = this.queuedUpdates.get(roomId);
+    if (!queued) return;
+
+    this.queuedUpdates.delete(roomId);
+    clearTimeout(queued.timer);
+    const update =
+      queued.updates.length === 1 ? queued.updates[0] : Y.mergeUpdates(queued.updates);
+    await this.appendUpdate(roomId, update);
+  }
+
+  /**
+   * Append an update to the room's persisted log and start compaction
+   * when the log is large
+   */
+  async appendUpdate(roomId, update) {
+    const endAppend = persistDuration.startTimer({ operation: "append" });
+    const write = this.storage.appendUpdate(roomId, update);
+    this.pendingWrites.add(write);
 
     try {
-      const state = Y.encodeStateAsUpdate(room.doc);
-      const key = `room:${roomId}:state`;
-      await this.redis.set(key, Buffer.from(state).toString("base64"));
+      const { count, bytes } = await write;
+      endAppend();
+      this.emit("persisted", roomId, { ok: true });
+      if (count >= this.compactMaxUpdates || bytes >= this.compactMaxBytes) {
+        this.compactRoom(roomId);
+      }
     } catch (error) {
-      console.error(`[RoomManager] Error persisting room: ${error.message}`);
+      console.error(`[RoomManager] Error persisting update: ${error.message}`);
+      errorsTotal.inc({ type: "persist" });
+      this.emit("persisted", roomId, { ok: false });
+    } finally {
+      this.pendingWrites.delete(write);
+    }
+  }
+
+  /**
+   * Fold the room's update log into its snapshot in the background.
+   * The room's storage lock keeps instances from compacting it at once.
+   */
+  compactRoom(roomId) {
+    if (!this.compactions.has(roomId)) {
+      const compaction = this.runCompaction(roomId)
+        .catch((error) => {
+          console.error(`[RoomManager] Error compacting room: ${error.message}`);
+          errorsTotal.inc({ type: "compaction" });
+        })
+        .finally(() => this.compactions.delete(roomId));
+      this.compactions.set(roomId, compaction);
+    }
+    return this.compactions.get(roomId);
+  }
+
+  async runCompaction(roomId) {
+    const lock = await this.storage.tryLock(roomId, this.compactLockTimeout);
+    if (!lock) return; // another instance is compacting
+
+    try {
+      const { snapshot, updates } = await this.storage.load(roomId);
+      if (updates.length === 0) return;
+
+      // Rebuild through a Y.Doc so deleted content is garbage collected
+      const doc = new Y.Doc();
+      let compactedBytes = 0;
+      doc.transact(() => {
+        if (snapshot) {
+          Y.applyUpdate(doc, snapshot);
+        }
+        for (const update of updates) {
+          compactedBytes += update.length;
+          Y.applyUpdate(doc, update);
+        }
+      });
+      const state = Y.encodeStateAsUpdate(doc);
+      doc.destroy();
+
+      // Updates appended since our read stay in the log
+      const endSnapshot = persistDuration.startTimer({ operation: "snapshot" });
+      const written = await this.storage.writeSnapshot(roomId, state, {
+        compactedCount: updates.length,
+        compactedBytes,
+        lock,
+      });
+      endSnapshot();
+      snapshotSize.observe(state.length);
+
+      if (written) {
+        console.log(
+          `[RoomManager] Compacted ${updates.length} updates into snapshot for room: ${roomId}`
+        );
+      } else {
+        console.warn(`[RoomManager] Lost compaction lock for room: ${roomId}`);
+      }
+    } finally {
+      await this.storage.unlock(roomId, lock);
     }
   }
 
+  /**
+   * Persist queued updates and wait for in-flight appends and
+   * compactions to finish
+   */
+  async flush() {
+    await Promise.all(
+      Array.from(this.queuedUpdates.keys()).map((roomId) => this.persistQueued(roomId))
+    );
+    await Promise.allSettled([
+      ...this.pendingWrites,
+      ...this.compactions.values(),
+    ]);
+  }
+
   /**
    * Schedule room eviction after timeout
    */
@@ -94,19 +364,69 @@ class RoomManager {
     this.cancelEviction(roomId);
     
     const timer = setTimeout(async () => {
+      this.evictionTimers.delete(roomId);
       const room = this.rooms.get(roomId);
       if (room && room.clients.size === 0) {
         console.log(`[RoomManager] Evicting room: ${roomId}`);
-        await this.persistRoom(roomId);
+        await this.flush();
+        if (room.clients.size > 0) return; // rejoined while flushing
         this.rooms.delete(roomId);
-        this.evictionTimers.delete(roomId);
+        room.doc.destroy(); // also destroys the room's awareness
         activeRooms.set(this.rooms.size);
+        this.emit("evicted", roomId, { reason: "idle" });
       }
-    }, this.evictionTimeout);
+    }, this.evictionTimeout(roomId));
 
     this.evictionTimers.set(roomId, timer);
   }
 
+  /**
+   * Close a room now instead of waiting for eviction: disconnect its
+   * clients with `code`, drop it from memory and wait for pending writes.
+   * The update log is then compacted, or with `deleteState` the room's
+   * persisted state and versions are deleted. Joins wait until it is done.
+   * Returns whether the room was active here.
+   */
+  closeRoom(roomId, { code, reason, deleteState = false }) {
+    const previous = this.closing.get(roomId) || Promise.resolve();
+    const close = previous
+      .then(() => this.runClose(roomId, { code, reason, deleteState }))
+      .finally(() => {
+        if (this.closing.get(roomId) === close) this.closing.delete(roomId);
+      });
+    this.closing.set(roomId, close);
+    return close;
+  }
+
+  async runClose(roomId, { code, reason, deleteState }) {
+    await this.loading.get(roomId);
+
+    const room = this.rooms.get(roomId);
+    if (room) {
+      this.rooms.delete(roomId);
+      activeRooms.set(this.rooms.size);
+      for (const client of room.clients) {
+        client.close(code, reason);
+      }
+      room.clients.clear();
+    }
+    this.cancelEviction(roomId);
+
+    await this.flush();
+    if (deleteState) {
+      await this.storage.delete(roomId);
+    } else if (!room?.owner) {
+      await this.compactRoom(roomId);
+    }
+
+    if (room) {
+      room.doc.destroy();
+      console.log(`[RoomManager] Closed room: ${roomId} (${reason})`);
+      this.emit("evicted", roomId, { reason: deleteState ? "deleted" : "evicted" });
+    }
+    return room !== undefined;
+  }
+
   /**
    * Cancel scheduled eviction
    */
@@ -125,6 +445,77 @@ class RoomManager {
     return this.rooms.get(roomId);
   }
 
+  /**
+   * Get a room's full document state, from memory if the room is active
+   * here (and not a proxy) or else from storage and the archive, without
+   * loading the room
+   */
+  async getState(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room && !room.owner) {
+      return Y.encodeStateAsUpdate(room.doc);
+    }
+
+    const { snapshot, updates } = await this.storage.load(roomId);
+    const archived = this.archive ? await this.archive.read(roomId) : null;
+    const doc = new Y.Doc();
+    doc.transact(() => {
+      if (archived) {
+        Y.applyUpdate(doc, archived.state);
+      }
+      if (snapshot) {
+        Y.applyUpdate(doc, snapshot);
+      }
+      for (const update of updates) {
+        Y.applyUpdate(doc, update);
+      }
+    });
+    const state = Y.encodeStateAsUpdate(doc);
+    doc.destroy();
+    return state;
+  }
+
+  /**
+   * Encoded size of a room's document in bytes. For active rooms this is
+   * an upper bound tracked from the updates applied since loading, unless
+   * `exact` is set; for other rooms it is the persisted size.
+   */
+  async getDocumentSize(roomId, { exact = false } = {}) {
+    const room = this.rooms.get(roomId);
+    if (room && !room.owner) {
+      if (exact) {
+        room.size = Y.encodeStateAsUpdate(room.doc).length;
+      }
+      return room.size;
+    }
+
+    if (exact) {
+      return (await this.getState(roomId)).length;
+    }
+    const stat = await this.storage.stat(roomId);
+    return stat ? stat.size : 0;
+  }
+
+  /**
+   * Client count, document size in bytes (the tracked upper bound, see
+   * getDocumentSize()) and last update time of each active room, and the
+   * owner of proxied rooms
+   */
+  describeRooms() {
+    const rooms = {};
+    for (const [roomId, room] of this.rooms) {
+      rooms[roomId] = {
+        clients: room.clients.size,
+        size: room.size,
+        updatedAt: room.updatedAt ? new Date(room.updatedAt).toISOString() : null,
+      };
+      if (room.owner) {
+        rooms[roomId].owner = room.owner;
+      }
+    }
+    return rooms;
+  }
+
   /**
    * Get total number of connected clients across all rooms
    */
@@ -0,0 +1,218 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import HashRing from "./hashRing.js";
+
+// Instances announce here that they join or leave the cluster
+const INSTANCES_CHANNEL = "instances";
+
+/**
+ * RoomOwnership gives every room a single owning instance (sharding).
+ * Owners are chosen by consistent hashing over the live instances of
+ * the registry, so an instance joining or leaving only moves its share
+ * of the rooms. The ring is rebuilt every `interval` ms and right away
+ * when an instance announces on the `instances` channel that it joins
+ * or leaves. Emits "changed" (ring, previous) when the set of instances
+ * changes.
+ *
+ * Instances send each other requests over pub/sub: request() publishes
+ * to the target's `instance:{instanceId}:rpc` channel, where the method's
+ * handler (roomId, payload, fromInstance) runs, and resolves with what
+ * the handler returned, or rejects with the error it threw or after
+ * `timeout` ms. Payloads and results are plain JSON.
+ */
+class RoomOwnership extends EventEmitter {
+  constructor(redis, subscriber, registry, instanceId, { handlers, interval = 5000, timeout = 5000 }) {
+    super();
+    this.redis = redis;
+    this.subscriber = subscriber;
+    this.registry = registry;
+    this.instanceId = instanceId;
+    this.handlers = handlers; // method => async (roomId, payload, from) => result
+    this.interval = interval;
+    this.timeout = timeout;
+    this.channel = rpcChannel(instanceId);
+    this.ring = new HashRing([instanceId]);
+    this.pending = new Map(); // request ID => { resolve, reject, timer }
+    this.refreshing = Promise.resolve();
+    this.leaving = false;
+    this.timer = null;
+    this.onMessage = (channel, message) => this.handleMessage(channel, message);
+  }
+
+  /**
+   * Join the ring: make sure the registry lists this instance, then tell
+   * the others so they rebuild their ring at once
+   */
+  async start() {
+    this.subscriber.on("message", this.onMessage);
+    await this.subscriber.subscribe(this.channel, INSTANCES_CHANNEL);
+    await this.registry.heartbeat();
+    await this.refresh();
+    await this.announce("joined");
+
+    this.timer = setInterval(() => {
+      this.refresh().catch((error) => {
+        console.error(`[Sharding] Error refreshing instances: ${error.message}`);
+      });
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Leave the ring before shutting down. Other instances take over our
+   * rooms; ours stays as it is, so the rooms held here keep being served
+   * until their clients are gone. Expects the instance to be gone from
+   * the registry already.
+   */
+  async leave() {
+    this.leaving = true;
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.announce("left");
+  }
+
+  /**
+   * Stop answering requests and fail the ones still waiting for a reply
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.subscriber.off("message", this.onMessage);
+    for (const [id, { reject, timer }] of this.pending) {
+      clearTimeout(timer);
+      reject(new Error("Shutting down"));
+      this.pending.delete(id);
+    }
+    await this.subscriber.unsubscribe(this.channel, INSTANCES_CHANNEL).catch(() => {});
+  }
+
+  /**
+   * Rebuild the ring from the registry. Refreshes run one at a time; a
+   * failed one does not stop the next.
+   */
+  refresh() {
+    this.refreshing = this.refreshing.catch(() => {}).then(async () => {
+      if (this.leaving) return;
+      const instances = await this.registry.listInstances();
+      const ring = new HashRing(instances.map((instance) => instance.id));
+      if (ring.equals(this.ring)) return;
+
+      const previous = this.ring;
+      this.ring = ring;
+      console.log(`[Sharding] Instances: ${ring.members.join(", ")}`);
+      this.emit("changed", ring, previous);
+    });
+    return this.refreshing;
+  }
+
+  /**
+   * The instance owning a room, or null if it is this one
+   */
+  remoteOwner(roomId) {
+    const owner = this.ring.ownerOf(roomId);
+    return owner === this.instanceId ? null : owner;
+  }
+
+  /**
+   * The instance that owns a room once this one has left, or null if
+   * there is none
+   */
+  successorOf(roomId) {
+    return this.ring.without(this.instanceId).ownerOf(roomId);
+  }
+
+  async announce(event) {
+    await this.redis.publish(
+      INSTANCES_CHANNEL,
+      JSON.stringify({ instanceId: this.instanceId, event })
+    );
+  }
+
+  /**
+   * Call `method` on another instance for a room
+   */
+  async request(instanceId, method, roomId, payload = {}) {
+    const id = crypto.randomUUID();
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Request ${method} to instance ${instanceId} timed out`));
+      }, this.timeout);
+      this.pending.set(id, { resolve, reject, timer });
+    });
+
+    const request = { type: "request", id, from: this.instanceId, method, room: roomId, payload };
+    let receivers;
+    try {
+      receivers = await this.redis.publish(rpcChannel(instanceId), JSON.stringify(request));
+    } catch (error) {
+      this.settle(id, { error: error.message });
+      return reply;
+    }
+    if (receivers === 0) {
+      this.settle(id, { error: `Instance ${instanceId} is not reachable` });
+    }
+    return reply;
+  }
+
+  settle(id, { result, error }) {
+    const pending = this.pending.get(id);
+    if (!pending) return; // timed out
+    this.pending.delete(id);
+    clearTimeout(pending.timer);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  async handleMessage(channel, message) {
+    if (channel !== this.channel && channel !== INSTANCES_CHANNEL) return;
+
+    let msg;
+    try {
+      msg = JSON.parse(message);
+    } catch (error) {
+      console.error(`[Sharding] Malformed message on ${channel}: ${error.message}`);
+      return;
+    }
+
+    if (channel === INSTANCES_CHANNEL) {
+      if (msg.instanceId === this.instanceId) return;
+      console.log(`[Sharding] Instance ${msg.instanceId} ${msg.event}`);
+      this.refresh().catch((error) => {
+        console.error(`[Sharding] Error refreshing instances: ${error.message}`);
+      });
+    } else if (msg.type === "reply") {
+      this.settle(msg.id, msg);
+    } else if (msg.type === "request") {
+      await this.answer(msg);
+    }
+  }
+
+  async answer({ id, from, method, room, payload }) {
+    const reply = { type: "reply", id };
+    try {
+      const handler = this.handlers[method];
+      if (!handler) {
+        throw new Error(`Unknown method: ${method}`);
+      }
+      reply.result = (await handler(room, payload, from)) ?? null;
+    } catch (error) {
+      reply.error = error.message;
+    }
+
+    try {
+      await this.redis.publish(rpcChannel(from), JSON.stringify(reply));
+    } catch (error) {
+      console.error(`[Sharding] Error replying to instance ${from}: ${error.message}`);
+    }
+  }
+}
+
+function rpcChannel(instanceId) {
+  return `instance:${instanceId}:rpc`;
+}
+
+export default RoomOwnership;
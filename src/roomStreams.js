@@ -0,0 +1,145 @@
+import { EventEmitter } from "events";
+import { publishFailures } from "./metrics.js";
+
+/**
+ * RoomStreams carries document updates between instances on one Redis
+ * Stream per room (`room:{roomId}:stream`). Unlike pub/sub, entries stay
+ * in the stream, so an instance whose connection drops resumes reading
+ * at its last offset and nothing published meanwhile is lost.
+ *
+ * Only tracked rooms (the ones active on this instance) are read. A room
+ * starts being read `replayWindow` ms in the past, which covers updates
+ * other instances have published but not yet persisted when it loads.
+ *
+ * Emits "update" (roomId, update, originInstance, { receivedAt, trace })
+ * for entries added by other instances; `receivedAt` is when the update
+ * reached its origin instance (ms since the epoch) and `trace` the W3C
+ * trace context it was added with, if known.
+ */
+class RoomStreams extends EventEmitter {
+  constructor(
+    redis,
+    reader,
+    instanceId,
+    { maxLen = 10000, replayWindow = 60000, block = 1000 } = {}
+  ) {
+    super();
+    this.redis = redis; // commands
+    this.reader = reader; // dedicated connection for blocking reads
+    this.instanceId = instanceId;
+    this.maxLen = maxLen;
+    this.replayWindow = replayWindow;
+    this.block = block;
+    this.offsets = new Map(); // roomId => last read entry ID
+    this.running = false;
+    this.reading = null;
+  }
+
+  start() {
+    this.running = true;
+    this.reading = this.readLoop();
+  }
+
+  async stop() {
+    this.running = false;
+    this.reader.disconnect();
+    await this.reading;
+  }
+
+  /**
+   * Start reading a room's stream, `replayWindow` ms in the past
+   */
+  track(roomId, replayWindow = this.replayWindow) {
+    if (!this.offsets.has(roomId)) {
+      this.offsets.set(roomId, `${Date.now() - replayWindow}-0`);
+    }
+  }
+
+  untrack(roomId) {
+    this.offsets.delete(roomId);
+  }
+
+  /**
+   * Append an update to the room's stream, with the time it was received
+   * (for latency metrics) and its trace context
+   */
+  async add(roomId, update, { receivedAt = null, trace = null } = {}) {
+    const fields = ["instanceId", this.instanceId, "update", Buffer.from(update).toString("base64")];
+    if (receivedAt) {
+      fields.push("receivedAt", String(receivedAt));
+    }
+    for (const [key, value] of Object.entries(trace || {})) {
+      fields.push(key, value);
+    }
+    try {
+      return await this.redis.xadd(streamKey(roomId), "MAXLEN", "~", this.maxLen, "*", ...fields);
+    } catch (error) {
+      publishFailures.inc({ channel: "stream" });
+      throw error;
+    }
+  }
+
+  async delete(roomId) {
+    await this.redis.del(streamKey(roomId));
+  }
+
+  async readLoop() {
+    while (this.running) {
+      const roomIds = Array.from(this.offsets.keys());
+      if (roomIds.length === 0) {
+        await sleep(this.block);
+        continue;
+      }
+
+      let streams;
+      try {
+        streams = await this.reader.xread(
+          "COUNT",
+          500,
+          "BLOCK",
+          this.block,
+          "STREAMS",
+          ...roomIds.map(streamKey),
+          ...roomIds.map((roomId) => this.offsets.get(roomId))
+        );
+      } catch (error) {
+        if (!this.running) break;
+        // Offsets are kept, so the next read replays what we missed
+        console.error(`[Streams] Read failed, retrying: ${error.message}`);
+        await sleep(this.block);
+        continue;
+      }
+
+      for (const [key, entries] of streams || []) {
+        const roomId = key.slice("room:".length, -":stream".length);
+        if (!this.offsets.has(roomId)) continue; // untracked meanwhile
+
+        for (const [id, fields] of entries) {
+          this.offsets.set(roomId, id);
+          const entry = {};
+          for (let i = 0; i < fields.length; i += 2) {
+            entry[fields[i]] = fields[i + 1];
+          }
+          if (entry.instanceId === this.instanceId) continue;
+
+          const update = new Uint8Array(Buffer.from(entry.update, "base64"));
+          const receivedAt = entry.receivedAt ? Number(entry.receivedAt) : null;
+          const trace = entry.traceparent
+            ? { traceparent: entry.traceparent, tracestate: entry.tracestate }
+            : null;
+          this.emit("update", roomId, update, entry.instanceId, { receivedAt, trace });
+        }
+      }
+    }
+  }
+}
+
+function streamKey(roomId) {
+  return `room:${roomId}:stream`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export default RoomStreams;
@@ -0,0 +1,93 @@
+import express from "express";
+import { Permission } from "../accessPolicy.js";
+import { describeClusterRooms } from "../clusterRooms.js";
+
+/**
+ * Room administration endpoints under /admin. Rooms are listed across
+ * the cluster (see clusterRooms.js). Cluster-wide endpoints (listings,
+ * webhook dead letters) require the admin permission on "*", everything
+ * else on the room itself.
+ */
+function createAdminRouter({
+  storage,
+  registry,
+  webhooks,
+  closeRoomEverywhere,
+  requireRoomPermission,
+}) {
+  const router = express.Router();
+  const requireClusterAdmin = requireRoomPermission(Permission.ADMIN, () => "*");
+
+  // Live instances and the rooms they hold
+  router.get("/instances", requireClusterAdmin, async (req, res, next) => {
+    try {
+      res.json({ instances: await registry.listInstances() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // All active and persisted rooms
+  router.get("/rooms", requireClusterAdmin, async (req, res, next) => {
+    try {
+      const rooms = await describeClusterRooms(storage, registry);
+      rooms.sort((a, b) => a.id.localeCompare(b.id));
+      res.json({ rooms });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get("/rooms/:id", requireRoomPermission(Permission.ADMIN), async (req, res, next) => {
+    try {
+      const [room] = await describeClusterRooms(storage, registry, [req.params.id]);
+      if (!room) {
+        res.status(404).json({ error: "Room not found" });
+        return;
+      }
+      res.json(room);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delete a room everywhere, disconnecting its clients
+  router.delete("/rooms/:id", requireRoomPermission(Permission.ADMIN), async (req, res, next) => {
+    try {
+      await closeRoomEverywhere(req.params.id, "delete");
+      console.log(
+        `[Admin] Room ${req.params.id} deleted by ${req.user ? req.user.id : "anonymous"}`
+      );
+      res.json({ room: req.params.id, deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Persist and evict a room now on every instance
+  router.post(
+    "/rooms/:id/evict",
+    requireRoomPermission(Permission.ADMIN),
+    async (req, res, next) => {
+      try {
+        await closeRoomEverywhere(req.params.id, "evict");
+        res.json({ room: req.params.id, evicted: true });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Webhook deliveries that failed all attempts, most recent first
+  router.get("/webhooks/dead-letters", requireClusterAdmin, async (req, res, next) => {
+    try {
+      res.json({ deadLetters: await webhooks.listDeadLetters() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+export { createAdminRouter };
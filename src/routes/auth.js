@@ -0,0 +1,36 @@
+import { AuthError } from "../auth.js";
+import { hasPermission } from "../accessPolicy.js";
+
+/**
+ * Create an Express middleware factory that authenticates the request
+ * and requires a minimum permission on the room named by `req.params.id`
+ * (or by `getRoomId(req)`, e.g. "*" for cluster-wide operations).
+ * Sets `req.user` and `req.permission` for the route handlers.
+ */
+function createRoomAuth(authenticator, accessPolicy) {
+  return function requireRoomPermission(required, getRoomId = (req) => req.params.id) {
+    return async (req, res, next) => {
+      try {
+        const user = authenticator.authenticate(req);
+        const permission = await accessPolicy.getPermission(user, getRoomId(req));
+
+        if (!hasPermission(permission, required)) {
+          res.status(403).json({ error: `${required} access to room required` });
+          return;
+        }
+
+        req.user = user;
+        req.permission = permission;
+        next();
+      } catch (error) {
+        if (error instanceof AuthError) {
+          res.status(error.statusCode).json({ error: error.message });
+        } else {
+          next(error);
+        }
+      }
+    };
+  };
+}
+
+export { createRoomAuth };
@@ -0,0 +1,268 @@
+import express from "express";
+import * as Y from "yjs";
+import { Permission } from "../accessPolicy.js";
+import {
+  applyPatch,
+  captureUpdate,
+  docFromJSON,
+  docFromState,
+  docKinds,
+  docToJSON,
+  mergeContent,
+  replaceContent,
+} from "../docContent.js";
+
+const MAX_BODY_SIZE = "10mb";
+const EXPORT_FORMATS = ["json", "yjs"];
+const IMPORT_MODES = ["merge", "replace"];
+
+/**
+ * Document endpoints under /rooms/:id for clients without a WebSocket.
+ * Rooms are read with `currentState(roomId)`, which includes updates
+ * this instance has applied but not persisted yet. Writes are checked
+ * by `checkUpdate(roomId, update)` (limits and schema) and handed to
+ * `applyUpdate(roomId, update, null, { author })`, so they reach
+ * connected clients, other instances and storage like socket updates,
+ * and the authenticated user can undo them with `undoHistory`. Imports
+ * that replace a room's content first save its state as a version in
+ * `versions`.
+ */
+function createRoomsRouter({
+  currentState,
+  versions,
+  undoHistory,
+  applyUpdate,
+  checkUpdate,
+  requireRoomPermission,
+}) {
+  /**
+   * Apply an update unless it violates a limit or the room's schema;
+   * returns whether it was applied, answering the request otherwise.
+   * `beforeApply` runs once the update has passed the checks.
+   */
+  async function applyChecked(req, res, update, { beforeApply = null } = {}) {
+    const violation = await checkUpdate(req.params.id, update);
+    if (violation) {
+      res.status(violation.status).json({ error: violation.message, code: violation.code });
+      return false;
+    }
+    await beforeApply?.();
+    await applyUpdate(req.params.id, update, null, { author: req.user ? req.user.id : null });
+    return true;
+  }
+
+  /**
+   * Undo or redo the authenticated user's last change in the room
+   */
+  const historyStep = (action) => async (req, res, next) => {
+    try {
+      if (!undoHistory.enabled) {
+        res.status(404).json({ error: "Undo is disabled" });
+        return;
+      }
+      if (!req.user) {
+        res.status(401).json({ error: "Undo requires an authenticated user" });
+        return;
+      }
+
+      const { changed, violation } = await undoHistory[action](req.params.id, req.user.id);
+      if (violation) {
+        res.status(violation.status).json({ error: violation.message, code: violation.code });
+        return;
+      }
+      if (changed) {
+        const done = action === "undo" ? "undid" : "redid";
+        console.log(`[HTTP] User ${req.user.id} ${done} a change in room ${req.params.id}`);
+      }
+      res.json({ room: req.params.id, action, changed });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const router = express.Router();
+
+  // Current content of the room's shared types as JSON
+  router.get("/:id", requireRoomPermission(Permission.READ), async (req, res, next) => {
+    try {
+      const doc = docFromState(await currentState(req.params.id));
+      const content = docToJSON(doc);
+      doc.destroy();
+      res.json({ room: req.params.id, content });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Apply a raw Yjs update, sent as application/octet-stream or as
+  // JSON { update: base64 }
+  router.post(
+    "/:id/update",
+    requireRoomPermission(Permission.WRITE),
+    express.raw({ type: "application/octet-stream", limit: MAX_BODY_SIZE }),
+    async (req, res, next) => {
+      try {
+        const update = Buffer.isBuffer(req.body)
+          ? new Uint8Array(req.body)
+          : typeof req.body?.update === "string"
+            ? new Uint8Array(Buffer.from(req.body.update, "base64"))
+            : null;
+
+        if (!update || update.length === 0) {
+          res.status(400).json({ error: "Request must contain a Yjs update" });
+          return;
+        }
+        try {
+          Y.decodeUpdate(update);
+        } catch {
+          res.status(400).json({ error: "Invalid Yjs update" });
+          return;
+        }
+
+        if (!(await applyChecked(req, res, update))) return;
+        console.log(`[HTTP] Applied update to room ${req.params.id} (${update.length} bytes)`);
+        res.json({ room: req.params.id, applied: true, size: update.length });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Apply JSON-patch style operations to named maps, arrays and texts.
+  // They are computed on a copy of the document, so either all of them
+  // are applied or none.
+  router.post("/:id/patch", requireRoomPermission(Permission.WRITE), async (req, res, next) => {
+    try {
+      const operations = Array.isArray(req.body) ? req.body : req.body?.operations;
+      const doc = docFromState(await currentState(req.params.id));
+      let update;
+      try {
+        update = applyPatch(doc, operations);
+      } finally {
+        doc.destroy();
+      }
+
+      if (update) {
+        if (!(await applyChecked(req, res, update))) return;
+        console.log(
+          `[HTTP] Applied ${operations.length} patch operations to room ${req.params.id}`
+        );
+      }
+      res.json({ room: req.params.id, changed: update !== null });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Export the room's state as a Yjs update (?format=yjs) or as its JSON
+  // content with the kind of each top-level type (?format=json)
+  router.get("/:id/export", requireRoomPermission(Permission.READ), async (req, res, next) => {
+    try {
+      const format = req.query.format || "json";
+      if (!EXPORT_FORMATS.includes(format)) {
+        res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+        return;
+      }
+
+      const state = await currentState(req.params.id);
+      if (format === "yjs") {
+        res.attachment(`${req.params.id}.yjs`);
+        res.type("application/octet-stream").send(Buffer.from(state));
+        return;
+      }
+
+      const doc = docFromState(state);
+      const exported = {
+        room: req.params.id,
+        exportedAt: new Date().toISOString(),
+        types: docKinds(doc),
+        content: docToJSON(doc),
+      };
+      doc.destroy();
+      res.attachment(`${req.params.id}.json`);
+      res.json(exported);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Import an export into the room: a Yjs update as
+  // application/octet-stream or JSON { content, types }. ?mode=merge
+  // (default) keeps what the room has, ?mode=replace makes its content
+  // equal to the import. Either way only the difference is applied.
+  router.post(
+    "/:id/import",
+    requireRoomPermission(Permission.WRITE),
+    express.raw({ type: "application/octet-stream", limit: MAX_BODY_SIZE }),
+    async (req, res, next) => {
+      try {
+        const roomId = req.params.id;
+        const mode = req.query.mode || "merge";
+        if (!IMPORT_MODES.includes(mode)) {
+          res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(", ")}` });
+          return;
+        }
+
+        let snapshot = null;
+        if (Buffer.isBuffer(req.body)) {
+          snapshot = new Uint8Array(req.body);
+          try {
+            Y.decodeUpdate(snapshot);
+          } catch {
+            res.status(400).json({ error: "Invalid Yjs update" });
+            return;
+          }
+        }
+
+        const doc = docFromState(await currentState(roomId));
+        const hadContent = Object.keys(docKinds(doc)).length > 0;
+        let imported = null;
+        let update;
+        try {
+          if (snapshot && mode === "merge") {
+            // A Yjs update merges as CRDT changes
+            update = captureUpdate(doc, () => Y.applyUpdate(doc, snapshot));
+          } else {
+            imported = snapshot
+              ? docFromState(snapshot)
+              : docFromJSON(req.body?.content, req.body?.types);
+            update = mode === "replace" ? replaceContent(doc, imported) : mergeContent(doc, imported);
+          }
+        } finally {
+          doc.destroy();
+          imported?.destroy();
+        }
+
+        let backup = null;
+        if (update) {
+          const applied = await applyChecked(req, res, update, {
+            beforeApply: async () => {
+              if (mode === "replace" && hadContent) {
+                backup = await versions.createVersion(roomId, {
+                  name: "Before import",
+                  createdBy: req.user ? req.user.id : null,
+                });
+              }
+            },
+          });
+          if (!applied) return;
+          console.log(
+            `[HTTP] Imported ${snapshot ? "Yjs" : "JSON"} content into room ${roomId} (${mode})`
+          );
+        }
+        res.json({ room: roomId, mode, changed: update !== null, backup });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Revert the user's own last change, or reapply the last one undone;
+  // `changed` is false when there is nothing (left) to undo or redo
+  router.post("/:id/undo", requireRoomPermission(Permission.WRITE), historyStep("undo"));
+  router.post("/:id/redo", requireRoomPermission(Permission.WRITE), historyStep("redo"));
+
+  return router;
+}
+
+export { createRoomsRouter };
@@ -0,0 +1,87 @@
+import express from "express";
+import { Permission } from "../accessPolicy.js";
+
+/**
+ * Version history endpoints under /rooms/:id/versions
+ */
+function createVersionsRouter({ versions, requireRoomPermission }) {
+  const router = express.Router({ mergeParams: true });
+
+  // List versions, oldest first
+  router.get("/", requireRoomPermission(Permission.READ), async (req, res, next) => {
+    try {
+      res.json({ room: req.params.id, versions: await versions.listVersions(req.params.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create a named version of the current state
+  router.post("/", requireRoomPermission(Permission.WRITE), async (req, res, next) => {
+    try {
+      const version = await versions.createVersion(req.params.id, {
+        name: req.body?.name || null,
+        createdBy: req.user ? req.user.id : null,
+      });
+      res.status(201).json(version);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Diff two versions; either may be "current"
+  router.get(
+    "/:from/diff/:to",
+    requireRoomPermission(Permission.READ),
+    async (req, res, next) => {
+      try {
+        const diff = await versions.diffVersions(req.params.id, req.params.from, req.params.to);
+        if (!diff) {
+          res.status(404).json({ error: "Version not found" });
+          return;
+        }
+        res.json(diff);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Document content at a version
+  router.get("/:versionId", requireRoomPermission(Permission.READ), async (req, res, next) => {
+    try {
+      const version = await versions.getVersion(req.params.id, req.params.versionId);
+      if (!version) {
+        res.status(404).json({ error: "Version not found" });
+        return;
+      }
+      res.json(version);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Restore the room to a version as a regular CRDT update
+  router.post(
+    "/:versionId/restore",
+    requireRoomPermission(Permission.WRITE),
+    async (req, res, next) => {
+      try {
+        const result = await versions.restoreVersion(req.params.id, req.params.versionId, {
+          restoredBy: req.user ? req.user.id : null,
+        });
+        if (!result) {
+          res.status(404).json({ error: "Version not found" });
+          return;
+        }
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+}
+
+export { createVersionsRouter };
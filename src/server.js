@@ -4,42 +4,346 @@ import path from "path";
 import { fileURLToPath } from "url";
 import WebSocket, { WebSocketServer } from "ws";
 import * as Y from "yjs";
+import * as awarenessProtocol from "y-protocols/awareness";
 import Redis from "ioredis";
 import { v4 as uuidv4 } from "uuid";
 import RoomManager from "./roomManager.js";
+import { createStorage } from "./storage/index.js";
+import { Authenticator, AuthError } from "./auth.js";
+import { Permission, hasPermission, loadPolicy } from "./accessPolicy.js";
+import { CloseCode, ConnectionParamsError, parseConnectionParams } from "./protocol.js";
+import { SchemaRegistry } from "./documentSchema.js";
+import VersionHistory from "./versionHistory.js";
+import UndoHistory from "./undoHistory.js";
+import InstanceRegistry from "./instanceRegistry.js";
+import RoomOwnership from "./roomOwnership.js";
+import { LifecyclePolicies, RoomLifecycle } from "./roomLifecycle.js";
+import RoomArchive from "./storage/archive.js";
+import RateLimiter from "./rateLimiter.js";
+import UpdateBatcher from "./updateBatcher.js";
+import RoomStreams from "./roomStreams.js";
+import Webhooks from "./webhooks.js";
+import HealthMonitor from "./healthMonitor.js";
+import Tracing, { SpanKind, SpanStatusCode } from "./tracing.js";
+import { docFromState, trackChangedTypes } from "./docContent.js";
+import { createRoomAuth } from "./routes/auth.js";
+import { createVersionsRouter } from "./routes/versions.js";
+import { createRoomsRouter } from "./routes/rooms.js";
+import { createAdminRouter } from "./routes/admin.js";
 import {
   register,
   connectedClients,
   updatesTotal,
   messagesSent,
+  updatesRejected,
+  clientResyncs,
+  reconcileDiffs,
+  errorsTotal,
+  publishFailures,
+  messagesRejected,
+  reconnectsTotal,
+  updateApplyDuration,
+  fanoutLatency,
+  updateSize,
+  RoomMetrics,
 } from "./metrics.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
-const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "redis";
+const STORAGE_DIR = process.env.STORAGE_DIR || "./data";
+// Redis is optional with file storage: without REDIS_URL the instance
+// runs standalone, without cross-instance sync
+const REDIS_URL =
+  process.env.REDIS_URL ||
+  (STORAGE_BACKEND === "redis" ? "redis://localhost:6379" : null);
 const PORT = parseInt(process.env.PORT || "1234", 10);
 const INSTANCE_ID = process.env.INSTANCE_ID || uuidv4();
+const COMPACT_MAX_UPDATES = parseInt(process.env.COMPACT_MAX_UPDATES || "500", 10);
+const COMPACT_MAX_BYTES = parseInt(process.env.COMPACT_MAX_BYTES || "1048576", 10);
+const ACL_POLICY = process.env.ACL_POLICY || null;
+const DOCUMENT_SCHEMAS = process.env.DOCUMENT_SCHEMAS || null;
+const VERSION_INTERVAL = parseInt(process.env.VERSION_INTERVAL || "600000", 10);
+const VERSION_MAX_AUTO = parseInt(process.env.VERSION_MAX_AUTO || "50", 10);
+const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL || "5000", 10);
+// Limits; 0 disables a limit
+const CLIENT_RATE_LIMIT = parseInt(process.env.CLIENT_RATE_LIMIT || "50", 10);
+const CLIENT_RATE_BURST = parseInt(process.env.CLIENT_RATE_BURST || "100", 10);
+const ROOM_RATE_LIMIT = parseInt(process.env.ROOM_RATE_LIMIT || "200", 10);
+const ROOM_RATE_BURST = parseInt(process.env.ROOM_RATE_BURST || "400", 10);
+const MAX_UPDATE_SIZE = parseInt(process.env.MAX_UPDATE_SIZE || "1048576", 10);
+const MAX_DOCUMENT_SIZE = parseInt(process.env.MAX_DOCUMENT_SIZE || "10485760", 10);
+const MAX_VIOLATIONS = parseInt(process.env.MAX_VIOLATIONS || "20", 10);
+const VIOLATION_WINDOW = parseInt(process.env.VIOLATION_WINDOW || "60000", 10);
+const BATCH_WINDOW = parseInt(process.env.BATCH_WINDOW || "20", 10);
+const PERSIST_DEBOUNCE = parseInt(process.env.PERSIST_DEBOUNCE || "200", 10);
+const PERSIST_MAX_DELAY = parseInt(process.env.PERSIST_MAX_DELAY || "1000", 10);
+const MAX_BUFFERED_AMOUNT = parseInt(process.env.MAX_BUFFERED_AMOUNT || "1048576", 10);
+const STREAM_MAXLEN = parseInt(process.env.STREAM_MAXLEN || "10000", 10);
+const STREAM_REPLAY_WINDOW = parseInt(process.env.STREAM_REPLAY_WINDOW || "60000", 10);
+const RECONCILE_INTERVAL = parseInt(process.env.RECONCILE_INTERVAL || "30000", 10);
+const WEBHOOKS = process.env.WEBHOOKS || null;
+const WEBHOOK_DEBOUNCE = parseInt(process.env.WEBHOOK_DEBOUNCE || "2000", 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5", 10);
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY || "1000", 10);
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT || "10000", 10);
+const DRAIN_SPREAD = parseInt(process.env.DRAIN_SPREAD || "5000", 10);
+const DRAIN_TIMEOUT = parseInt(process.env.DRAIN_TIMEOUT || "25000", 10);
+const HEALTH_CHECK_INTERVAL = parseInt(process.env.HEALTH_CHECK_INTERVAL || "2000", 10);
+const MAX_EVENT_LOOP_LAG = parseInt(process.env.MAX_EVENT_LOOP_LAG || "500", 10);
+const MAX_PERSIST_ERROR_RATE = parseFloat(process.env.MAX_PERSIST_ERROR_RATE || "0.5");
+const PERSIST_ERROR_WINDOW = parseInt(process.env.PERSIST_ERROR_WINDOW || "60000", 10);
+const ROOM_METRICS_LIMIT = parseInt(process.env.ROOM_METRICS_LIMIT || "0", 10);
+const TRACING_EXPORTER = process.env.TRACING_EXPORTER || null;
+const TRACING_FILE = process.env.TRACING_FILE || "./traces.jsonl";
+const TRACING_SAMPLE_RATIO = parseFloat(process.env.TRACING_SAMPLE_RATIO || "1");
+// Sharding: "hash" gives every room one owning instance, "off" lets any
+// instance hold any room
+const SHARDING = process.env.SHARDING || "off";
+const SHARD_REQUEST_TIMEOUT = parseInt(process.env.SHARD_REQUEST_TIMEOUT || "5000", 10);
+const ROOM_POLICIES = process.env.ROOM_POLICIES || null;
+const ROOM_IDLE_TIMEOUT = parseInt(process.env.ROOM_IDLE_TIMEOUT || "60000", 10);
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || "./archive";
+const LIFECYCLE_INTERVAL = parseInt(process.env.LIFECYCLE_INTERVAL || "3600000", 10);
+// Changes each user can undo per room; server-side undo is off by default
+const UNDO_HISTORY = parseInt(process.env.UNDO_HISTORY || "0", 10);
+
+if (!["off", "hash"].includes(SHARDING)) {
+  throw new Error(`Unknown SHARDING mode: ${SHARDING}`);
+}
+if (SHARDING !== "off" && !REDIS_URL) {
+  throw new Error("SHARDING requires Redis (REDIS_URL)");
+}
 
 console.log(`[Server] Starting instance: ${INSTANCE_ID}`);
 console.log(`[Server] Port: ${PORT}`);
-console.log(`[Server] Redis URL: ${REDIS_URL}`);
+console.log(`[Server] Redis URL: ${REDIS_URL || "none (standalone)"}`);
+console.log(`[Server] Storage: ${STORAGE_BACKEND}`);
+
+// Authentication and per-room access control
+const authenticator = Authenticator.fromEnv();
+const accessPolicy = await loadPolicy(ACL_POLICY);
+
+console.log(
+  `[Server] Authentication: ${authenticator.enabled ? "JWT" : "disabled"}`
+);
+console.log(`[Server] Access policy: ${ACL_POLICY || "allow all"}`);
+
+// Document schemas per room pattern; rooms without one accept any update
+const schemas = DOCUMENT_SCHEMAS
+  ? SchemaRegistry.fromFile(DOCUMENT_SCHEMAS)
+  : new SchemaRegistry();
+console.log(`[Server] Document schemas: ${DOCUMENT_SCHEMAS || "none"}`);
+
+// Lifecycle policies per room pattern: idle eviction, document size,
+// deletion and archival of rooms nobody updates any more
+const policyDefaults = { idleTimeout: ROOM_IDLE_TIMEOUT, maxDocumentSize: MAX_DOCUMENT_SIZE };
+const policies = ROOM_POLICIES
+  ? LifecyclePolicies.fromFile(ROOM_POLICIES, policyDefaults)
+  : new LifecyclePolicies({}, policyDefaults);
+const archive = new RoomArchive(ARCHIVE_DIR);
+console.log(`[Server] Room policies: ${ROOM_POLICIES || "defaults"}`);
 
 // Redis clients
-const redisPub = new Redis(REDIS_URL);
-const redisSub = new Redis(REDIS_URL);
+const redisPub = REDIS_URL ? new Redis(REDIS_URL) : null;
+const redisSub = REDIS_URL ? new Redis(REDIS_URL) : null;
 
 // Room manager
-const roomManager = new RoomManager(redisPub);
+const storage = createStorage(STORAGE_BACKEND, {
+  redis: redisPub,
+  dir: STORAGE_DIR,
+});
+const roomManager = new RoomManager(storage, {
+  compactMaxUpdates: COMPACT_MAX_UPDATES,
+  compactMaxBytes: COMPACT_MAX_BYTES,
+  persistDebounce: PERSIST_DEBOUNCE,
+  persistMaxDelay: PERSIST_MAX_DELAY,
+  beforeLoad: subscribeRoom,
+  remoteOwner: (roomId) => (ownership ? ownership.remoteOwner(roomId) : null),
+  evictionTimeout: (roomId) => policies.forRoom(roomId).idleTimeout,
+  archive,
+});
+
+// Outbound pipeline: updates are fanned out once per room and window
+const batcher = new UpdateBatcher({ window: BATCH_WINDOW, onFlush: flushUpdates });
+
+// Document updates travel between instances on per-room Redis Streams,
+// read for the rooms active here; awareness and room controls use pub/sub
+const streams = REDIS_URL
+  ? new RoomStreams(redisPub, new Redis(REDIS_URL), INSTANCE_ID, {
+      maxLen: STREAM_MAXLEN,
+      replayWindow: STREAM_REPLAY_WINDOW,
+    })
+  : null;
+
+// Instances only receive the traffic of the rooms they hold
+if (redisSub) {
+  redisSub.on("message", handleRedisMessage);
+  redisSub.on("ready", retrySubscriptions);
+  roomManager.on("loaded", queryRemoteAwareness);
+  roomManager.on("evicted", unsubscribeRoom);
+}
+
+if (streams) {
+  streams.on("update", handleStreamUpdate);
+  streams.start();
+  startReconciliation();
+}
+
+// Version history with periodic automatic versions
+const versionHistory = new VersionHistory(roomManager, storage, {
+  currentState,
+  applyUpdate,
+  interval: VERSION_INTERVAL,
+  maxAutoVersions: VERSION_MAX_AUTO,
+});
+versionHistory.start();
+
+// Server-side undo and redo of each user's own changes
+const undoHistory = new UndoHistory(storage, {
+  currentState,
+  applyUpdate,
+  checkUpdate,
+  maxSteps: UNDO_HISTORY,
+});
+
+// Registry of live instances and their rooms, for room administration
+const registry = new InstanceRegistry(redisPub, INSTANCE_ID, {
+  describeRooms: () => roomManager.describeRooms(),
+  interval: HEARTBEAT_INTERVAL,
+});
+registry.start();
+
+// With sharding, rooms are held by their owner; other instances proxy
+// their clients' edits to it. Joining the ring announces this instance.
+const ownership =
+  SHARDING === "hash"
+    ? new RoomOwnership(redisPub, redisSub, registry, INSTANCE_ID, {
+        interval: HEARTBEAT_INTERVAL,
+        timeout: SHARD_REQUEST_TIMEOUT,
+        handlers: {
+          stateVector: serveStateVector,
+          diff: serveDiff,
+          update: serveForwardedUpdate,
+          handoff: acceptHandoff,
+        },
+      })
+    : null;
+if (ownership) {
+  ownership.on("changed", () => {
+    moveRooms().catch((error) => {
+      console.error(`[Sharding] Error moving rooms: ${error.message}`);
+    });
+  });
+  await ownership.start();
+}
+console.log(`[Server] Sharding: ${SHARDING}`);
+
+// Deletes and archives persisted rooms as their policies say
+const lifecycle = new RoomLifecycle(storage, archive, policies, {
+  roomManager,
+  registry,
+  deleteRoom: (roomId) => closeRoomEverywhere(roomId, "delete"),
+  interval: LIFECYCLE_INTERVAL,
+});
+lifecycle.start();
+
+// Update rate limits, shared by all instances through Redis for rooms
+const rateLimiter = new RateLimiter(redisPub, {
+  clientRate: CLIENT_RATE_LIMIT,
+  clientBurst: CLIENT_RATE_BURST,
+  roomRate: ROOM_RATE_LIMIT,
+  roomBurst: ROOM_RATE_BURST,
+});
+roomManager.on("evicted", (roomId) => rateLimiter.forgetRoom(roomId));
+
+// Spans along each update's path, across instances
+const tracing = new Tracing({
+  exporter: TRACING_EXPORTER,
+  file: TRACING_FILE,
+  instanceId: INSTANCE_ID,
+  sampleRatio: TRACING_SAMPLE_RATIO,
+});
+console.log(`[Server] Tracing: ${TRACING_EXPORTER || "off"}`);
 
-// Express app for health and metrics endpoints
+// Metrics labelled by room, for the first ROOM_METRICS_LIMIT rooms
+const roomMetrics = new RoomMetrics({ maxRooms: ROOM_METRICS_LIMIT });
+roomManager.on("evicted", (roomId) => roomMetrics.forget(roomId));
+
+// Outbound webhooks for room lifecycle and document changes
+const webhookOptions = {
+  debounce: WEBHOOK_DEBOUNCE,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryDelay: WEBHOOK_RETRY_DELAY,
+  timeout: WEBHOOK_TIMEOUT,
+};
+const webhooks = WEBHOOKS
+  ? Webhooks.fromFile(redisPub, INSTANCE_ID, WEBHOOKS, webhookOptions)
+  : new Webhooks(redisPub, INSTANCE_ID, webhookOptions);
+console.log(`[Server] Webhooks: ${WEBHOOKS || "none"}`);
+
+const reportWebhookError = (error) => {
+  console.error(`[Webhooks] Error tracking room events: ${error.message}`);
+};
+if (webhooks.enabled) {
+  roomManager.on("loaded", (roomId, info) => {
+    webhooks.roomLoaded(roomId, info).catch(reportWebhookError);
+  });
+  roomManager.on("evicted", (roomId, info) => {
+    webhooks.roomUnloaded(roomId, info).catch(reportWebhookError);
+  });
+}
+
+// Set once a shutdown signal is received, see drain()
+let draining = false;
+
+// Rooms whose pub/sub subscription failed, retried when Redis is back
+const failedSubscriptions = new Set();
+
+// Readiness checks; while Redis checks fail the instance is degraded
+const health = new HealthMonitor({
+  interval: HEALTH_CHECK_INTERVAL,
+  maxEventLoopLag: MAX_EVENT_LOOP_LAG,
+  maxPersistErrorRate: MAX_PERSIST_ERROR_RATE,
+  persistErrorWindow: PERSIST_ERROR_WINDOW,
+});
+health.addCheck("draining", () => ({ ok: !draining }));
+if (redisPub) {
+  const connectionCheck = (redis) => () => ({ ok: redis.status === "ready", status: redis.status });
+  health.addCheck("redisPub", connectionCheck(redisPub), { sync: true });
+  health.addCheck("redisSub", connectionCheck(redisSub), { sync: true });
+  health.addCheck("redisStreams", connectionCheck(streams.reader), { sync: true });
+  health.addCheck(
+    "subscriptions",
+    () => ({ ok: failedSubscriptions.size === 0, failed: Array.from(failedSubscriptions) }),
+    { sync: true }
+  );
+}
+roomManager.on("persisted", (roomId, { ok }) => health.recordPersist(ok));
+health.on("degraded", ({ failing }) => {
+  console.warn(`[Server] Cross-instance sync unavailable (${failing.join(", ")}), serving local clients only`);
+  announceServiceStatus();
+});
+health.on("recovered", () => {
+  console.log("[Server] Cross-instance sync restored");
+  announceServiceStatus();
+});
+health.start();
+
+// Express app for health, metrics and room endpoints
 const app = express();
+const requireRoomPermission = createRoomAuth(authenticator, accessPolicy);
 
-// Serve static demo client
+// Serve static demo client and the client SDK it imports
 app.use(express.static(path.join(__dirname, "clientDemo")));
+app.use("/client", express.static(path.join(__dirname, "client")));
+// Documents may be imported as JSON, up to the size of a raw update
+app.use(express.json({ limit: "10mb" }));
 
-app.get("/health", (req, res) => {
+// Liveness: the process is up and handling requests
+app.get("/health/live", (req, res) => {
   res.json({
     status: "ok",
     instanceId: INSTANCE_ID,
@@ -47,6 +351,27 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Readiness: dependencies are healthy and the instance is not draining
+const sendReadiness = (req, res) => {
+  const { ready, degraded, failing, checks } = health.report();
+  let status = "ok";
+  if (draining) {
+    status = "draining";
+  } else if (!ready) {
+    status = "unavailable";
+  }
+  res.status(ready ? 200 : 503).json({
+    status,
+    instanceId: INSTANCE_ID,
+    timestamp: new Date().toISOString(),
+    degraded,
+    failing,
+    checks,
+  });
+};
+app.get("/health", sendReadiness);
+app.get("/health/ready", sendReadiness);
+
 app.get("/metrics", async (req, res) => {
   try {
     res.setHeader("Content-Type", register.contentType);
@@ -56,9 +381,152 @@ app.get("/metrics", async (req, res) => {
   }
 });
 
+app.use(
+  "/rooms/:id/versions",
+  createVersionsRouter({ versions: versionHistory, requireRoomPermission })
+);
+app.use(
+  "/rooms",
+  createRoomsRouter({
+    currentState,
+    versions: versionHistory,
+    undoHistory,
+    applyUpdate,
+    checkUpdate,
+    requireRoomPermission,
+  })
+);
+app.use(
+  "/admin",
+  createAdminRouter({ storage, registry, webhooks, closeRoomEverywhere, requireRoomPermission })
+);
+
+// Errors from route handlers
+app.use((error, req, res, next) => {
+  console.error(`[HTTP] Error handling ${req.method} ${req.path}: ${error.message}`);
+  if (!error.status || error.status >= 500) {
+    errorsTotal.inc({ type: "http" });
+  }
+  res.status(error.status || 500).json({ error: error.message });
+});
+
+/**
+ * Check whether a Yjs update carries no structs and no deletions
+ */
+function isEmptyUpdate(update) {
+  const { structs, ds } = Y.decodeUpdate(update);
+  return structs.length === 0 && ds.clients.size === 0;
+}
+
+function toBase64(bytes) {
+  return Buffer.from(bytes).toString("base64");
+}
+
+function fromBase64(b64) {
+  return new Uint8Array(Buffer.from(b64, "base64"));
+}
+
 // Create HTTP server and WebSocket server
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ noServer: true });
+
+/**
+ * Reject an HTTP upgrade with a plain HTTP error response
+ */
+function rejectUpgrade(socket, statusCode, message) {
+  socket.write(
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n` +
+      "Content-Type: text/plain\r\n" +
+      "Connection: close\r\n" +
+      `Content-Length: ${Buffer.byteLength(message)}\r\n\r\n` +
+      message
+  );
+  socket.destroy();
+}
+
+/**
+ * Authenticate WebSocket upgrades and resolve the room permission
+ * before accepting the connection
+ */
+server.on("upgrade", async (req, socket, head) => {
+  if (draining) {
+    rejectUpgrade(socket, 503, "Server is shutting down");
+    return;
+  }
+
+  try {
+    // Malformed URLs are rejected with 400 before authentication
+    const { roomId } = parseConnectionParams(req);
+    const user = authenticator.authenticate(req);
+
+    // A missing room is reported by the connection handler
+    let permission = Permission.NONE;
+    if (roomId) {
+      permission = await accessPolicy.getPermission(user, roomId);
+      if (!hasPermission(permission, Permission.READ)) {
+        console.log(
+          `[Auth] Denied ${user ? user.id : "anonymous"} access to room ${roomId}`
+        );
+        rejectUpgrade(socket, 403, "Access to room denied");
+        return;
+      }
+    }
+
+    req.user = user;
+    req.permission = permission;
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit("connection", ws, req);
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      console.log(`[Auth] Rejected connection: ${error.message}`);
+      rejectUpgrade(socket, error.statusCode, error.message);
+    } else if (error instanceof ConnectionParamsError) {
+      console.log(`[WS] Rejected connection: ${error.message}`);
+      rejectUpgrade(socket, error.statusCode, error.message);
+    } else {
+      console.error(`[Auth] Upgrade error: ${error.message}`);
+      rejectUpgrade(socket, 500, "Internal server error");
+    }
+  }
+});
+
+// Per-connection state: ws => { clientId, user, protocol, lagging }
+const connections = new WeakMap();
+
+// Messages of all connections still being handled, awaited by drain()
+const pendingMessages = new Set();
+
+/**
+ * Tell a client whether its edits reach the other instances, if its
+ * protocol can say so
+ */
+function sendServiceStatus(client) {
+  const connection = connections.get(client);
+  const frame = connection?.protocol.encodeServiceStatus({
+    crossInstanceSync: !health.degraded,
+  });
+  if (frame && client.readyState === WebSocket.OPEN) {
+    client.send(frame);
+    messagesSent.inc();
+  }
+}
+
+function announceServiceStatus() {
+  for (const client of wss.clients) {
+    sendServiceStatus(client);
+  }
+}
+
+/**
+ * Send a frame built by the client's wire protocol
+ */
+function sendToClient(client, encode) {
+  const { protocol } = connections.get(client);
+  client.send(encode(protocol));
+  messagesSent.inc();
+}
 
 /**
  * Handle new WebSocket connections
@@ -67,93 +535,319 @@ wss.on("connection", async (ws, req) => {
   let roomId = null;
   let clientId = null;
 
+  // Buffer messages that arrive while the room is loading, e.g. the
+  // client's sync step 1 sent as soon as the socket opens
+  const earlyMessages = [];
+  const bufferMessage = (raw, isBinary) => earlyMessages.push([raw, isBinary, Date.now()]);
+  ws.on("message", bufferMessage);
+
   try {
-    // Parse query parameters
-    const url = new URL(req.url, `ws://${req.headers.host}`);
-    roomId = url.searchParams.get("room");
-    clientId = url.searchParams.get("clientId") || uuidv4();
+    // Parse room, client ID and wire protocol
+    const params = parseConnectionParams(req);
+    const { protocol } = params;
+    roomId = params.roomId;
+    clientId = params.clientId || uuidv4();
 
     if (!roomId) {
-      ws.close(1008, "room parameter is required");
+      ws.close(CloseCode.POLICY_VIOLATION, "room parameter is required");
       return;
     }
 
-    console.log(`[WS] Client ${clientId} joining room: ${roomId}`);
+    const canWrite = hasPermission(req.permission, Permission.WRITE);
+    connections.set(ws, { clientId, user: req.user, protocol, lagging: false });
+
+    console.log(
+      `[WS] Client ${clientId} (user ${req.user ? req.user.id : "anonymous"}) joining room: ${roomId} (protocol ${protocol.name}, ${req.permission})`
+    );
 
     // Get or create room
     const room = await roomManager.ensureRoom(roomId);
     roomManager.addClient(roomId, ws);
     connectedClients.set(roomManager.getTotalClients());
+    roomMetrics.clientsChanged(roomId, 1);
+    if (params.reconnect) {
+      reconnectsTotal.inc();
+    }
+    const member = { clientId, userId: req.user ? req.user.id : null };
+    webhooks.clientJoined(roomId, member).catch(reportWebhookError);
+
+    /**
+     * Handle client disconnection. Registered before the initial sync,
+     * which may fail (e.g. a proxied room's owner is unreachable) and
+     * close the socket.
+     */
+    let detachAwareness = () => {};
+    ws.on("close", () => {
+      console.log(`[WS] Client ${clientId} disconnected from room ${roomId}`);
+      detachAwareness();
+      roomManager.removeClient(roomId, ws);
+      connectedClients.set(roomManager.getTotalClients());
+      roomMetrics.clientsChanged(roomId, -1);
+      webhooks.clientLeft(roomId, member).catch(reportWebhookError);
+    });
+
+    if (protocol.handshake) {
+      // Two-step sync: send our state vector so the client can reply with
+      // the updates we are missing (e.g. edits made while offline). The
+      // client sends its own state vector and gets only the missing diff.
+      const stateVector = await stateVectorOf(roomId, room);
+      sendToClient(ws, (p) => p.encodeSyncStep1(stateVector));
+
+      console.log(`[WS] Sent sync step 1 to client ${clientId} in room ${roomId}`);
+    } else {
+      // Legacy clients get the full state as a one-way snapshot
+      const state = await diffOf(roomId, room);
+      sendToClient(ws, (p) => p.encodeSnapshot(state));
+
+      console.log(`[WS] Sent snapshot to client ${clientId} in room ${roomId}`);
+    }
+
+    if (health.degraded) {
+      sendServiceStatus(ws);
+    }
 
-    // Send initial snapshot to client
-    const state = Y.encodeStateAsUpdate(room.doc);
-    const snapshot = {
-      type: "sync",
-      action: "snapshot",
-      update: Buffer.from(state).toString("base64"),
+    /**
+     * Send all current awareness states so the client sees who is present
+     */
+    const sendAwarenessStates = () => {
+      const awarenessStates = room.awareness.getStates();
+      if (awarenessStates.size > 0) {
+        const awarenessUpdate = awarenessProtocol.encodeAwarenessUpdate(
+          room.awareness,
+          Array.from(awarenessStates.keys())
+        );
+        sendToClient(ws, (p) => p.encodeAwareness(awarenessUpdate));
+      }
     };
-    ws.send(JSON.stringify(snapshot));
-    messagesSent.inc();
+    sendAwarenessStates();
 
-    console.log(`[WS] Sent snapshot to client ${clientId} in room ${roomId}`);
+    // Track the awareness client IDs this socket controls so their states
+    // can be removed when the socket closes
+    const controlledAwarenessIds = new Set();
+    const onAwarenessUpdate = ({ added, removed }, origin) => {
+      if (origin !== ws) return;
+      added.forEach((id) => controlledAwarenessIds.add(id));
+      removed.forEach((id) => controlledAwarenessIds.delete(id));
+    };
+    room.awareness.on("update", onAwarenessUpdate);
+    detachAwareness = () => {
+      room.awareness.off("update", onAwarenessUpdate);
+      if (controlledAwarenessIds.size > 0) {
+        awarenessProtocol.removeAwarenessStates(
+          room.awareness,
+          Array.from(controlledAwarenessIds),
+          "disconnect"
+        );
+      }
+    };
 
     /**
-     * Handle incoming messages from client
+     * Answer a rejected update with an error frame and disconnect
+     * clients with more than MAX_VIOLATIONS rejections in
+     * VIOLATION_WINDOW ms
+     */
+    const clientBucket = rateLimiter.createClientBucket();
+    const violations = []; // times of recent rejections
+    const rejectUpdate = ({ code, message }, span) => {
+      span.setStatus({ code: SpanStatusCode.ERROR, message });
+      span.setAttribute("collab.rejected", code);
+      console.log(
+        `[WS] Rejected update from client ${clientId} in room ${roomId}: ${message}`
+      );
+      sendToClient(ws, (p) => p.encodeError(code, message));
+
+      const now = Date.now();
+      violations.push(now);
+      while (violations[0] <= now - VIOLATION_WINDOW) {
+        violations.shift();
+      }
+      if (MAX_VIOLATIONS > 0 && violations.length > MAX_VIOLATIONS) {
+        console.log(`[WS] Disconnecting client ${clientId}: too many rejected updates`);
+        ws.close(CloseCode.POLICY_VIOLATION, "Too many rejected updates");
+      }
+    };
+
+    /**
+     * Send an update for a proxied room to its owner, which checks and
+     * applies it. If the owner cannot be reached the client is
+     * disconnected, so that it syncs the update again when it reconnects.
      */
-    ws.on("message", async (raw) => {
+    const forwardUpdate = async (update, receivedAt, span) => {
+      let result;
       try {
-        const msg =
-          typeof raw === "string" ? JSON.parse(raw) : JSON.parse(raw.toString());
-
-        if (msg.type === "update" && msg.update) {
-          const updateBuf = Buffer.from(msg.update, "base64");
-
-          // Apply update locally
-          Y.applyUpdate(room.doc, updateBuf);
-          updatesTotal.inc();
-
-          console.log(
-            `[WS] Applied update from client ${clientId} in room ${roomId}`
-          );
-
-          // Broadcast to other local clients (except sender)
-          for (const client of room.clients) {
-            if (client !== ws && client.readyState === WebSocket.OPEN) {
-              const broadcast = {
-                type: "sync",
-                action: "update",
-                update: msg.update,
-                originInstance: INSTANCE_ID,
-              };
-              client.send(JSON.stringify(broadcast));
-              messagesSent.inc();
-            }
-          }
+        result = await ownership.request(room.owner, "update", roomId, {
+          update: toBase64(update),
+          author: req.user ? req.user.id : null,
+          receivedAt,
+          trace: tracing.inject(span),
+        });
+      } catch (error) {
+        tracing.fail(span, error);
+        console.error(
+          `[Sharding] Could not forward update in room ${roomId} to instance ${room.owner}: ${error.message}`
+        );
+        ws.close(CloseCode.TRY_AGAIN_LATER, "Room owner unavailable");
+        return;
+      }
 
-          // Publish to Redis for other instances
-          const redisPayload = {
-            instanceId: INSTANCE_ID,
-            room: roomId,
-            update: msg.update,
-          };
-          await redisPub.publish(`room:${roomId}`, JSON.stringify(redisPayload));
+      if (result.violation) {
+        rejectUpdate(result.violation, span);
+      }
+    };
 
-          // Persist updated state (debounced in production)
-          await roomManager.persistRoom(roomId);
+    /**
+     * Apply an update from this client, relay it and persist it, or
+     * forward it to the room's owner. The span starts when the message
+     * arrived, so it includes the time spent waiting for the client's
+     * previous messages.
+     */
+    const handleClientUpdate = (update, receivedAt) => {
+      const spanOptions = {
+        kind: SpanKind.SERVER,
+        startTime: receivedAt,
+        attributes: {
+          "collab.room": roomId,
+          "collab.client_id": clientId,
+          "collab.update.bytes": update.length,
+        },
+      };
+      return tracing.withSpan("collab.receive_update", spanOptions, async (span) => {
+        if (!canWrite) {
+          updatesRejected.inc({ reason: "forbidden" });
+          rejectUpdate({ code: "forbidden", message: `Read-only access to room ${roomId}` }, span);
+          return;
         }
-      } catch (error) {
-        console.error(`[WS] Error handling message: ${error.message}`);
+        if (clientBucket && !clientBucket.take()) {
+          updatesRejected.inc({ reason: "client_rate" });
+          rejectUpdate({ code: "rate_limited", message: "Too many updates from this client" }, span);
+          return;
+        }
+        if (room.owner) {
+          await forwardUpdate(update, receivedAt, span);
+          return;
+        }
+
+        const violation = await tracing.withSpan("collab.check_update", { parent: span }, () =>
+          checkUpdate(roomId, update)
+        );
+        if (violation) {
+          rejectUpdate(violation, span);
+          return;
+        }
+
+        await applyUpdate(roomId, update, ws, {
+          receivedAt,
+          span,
+          author: req.user ? req.user.id : null,
+        });
+
+        console.log(
+          `[WS] Applied update from client ${clientId} in room ${roomId}`
+        );
+      });
+    };
+
+    /**
+     * Undo or redo the last change of this client's user and tell the
+     * client whether anything changed
+     */
+    const handleHistoryStep = async (action) => {
+      if (!canWrite || !req.user || !undoHistory.enabled) {
+        const reason = !undoHistory.enabled
+          ? "Undo is disabled"
+          : !canWrite
+            ? `Read-only access to room ${roomId}`
+            : "Undo requires an authenticated user";
+        sendToClient(ws, (p) => p.encodeError("undo_unavailable", reason));
+        return;
       }
-    });
+
+      const { changed, violation } = await undoHistory[action](roomId, req.user.id);
+      if (violation) {
+        sendToClient(ws, (p) => p.encodeError(violation.code, violation.message));
+        return;
+      }
+      if (changed) {
+        console.log(
+          `[WS] Client ${clientId} ${action === "undo" ? "undid" : "redid"} a change in room ${roomId}`
+        );
+      }
+      const frame = connections.get(ws).protocol.encodeHistoryResult(action, changed);
+      if (frame && ws.readyState === WebSocket.OPEN) {
+        ws.send(frame);
+        messagesSent.inc();
+      }
+    };
 
     /**
-     * Handle client disconnection
+     * Handle incoming messages from client
      */
-    ws.on("close", () => {
-      console.log(`[WS] Client ${clientId} disconnected from room ${roomId}`);
-      roomManager.removeClient(roomId, ws);
-      connectedClients.set(roomManager.getTotalClients());
-    });
+    const handleMessage = async (raw, isBinary, receivedAt) => {
+      let msg;
+      try {
+        msg = protocol.decode(raw, isBinary);
+      } catch (error) {
+        messagesRejected.inc({ reason: "malformed" });
+        console.log(`[WS] Malformed message from client ${clientId}: ${error.message}`);
+        return;
+      }
+      if (!msg) {
+        messagesRejected.inc({ reason: "unsupported" });
+        return;
+      }
+
+      try {
+        switch (msg.type) {
+          case "update":
+            await handleClientUpdate(msg.update, receivedAt);
+            break;
+          case "syncStep1": {
+            // Reply with only the updates the client is missing
+            const diff = await diffOf(roomId, room, msg.stateVector);
+            sendToClient(ws, (p) => p.encodeSyncStep2(diff));
+            break;
+          }
+          case "syncStep2":
+            // Updates the client made that we did not have yet
+            if (!isEmptyUpdate(msg.update)) {
+              await handleClientUpdate(msg.update, receivedAt);
+            }
+            break;
+          case "awareness":
+            // Relayed to local clients and other instances by the
+            // roomManager "awareness" listener below
+            awarenessProtocol.applyAwarenessUpdate(room.awareness, msg.update, ws);
+            break;
+          case "queryAwareness":
+            sendAwarenessStates();
+            break;
+          case "undo":
+          case "redo":
+            await handleHistoryStep(msg.type);
+            break;
+        }
+      } catch (error) {
+        console.error(`[WS] Error handling message: ${error.message}`);
+        errorsTotal.inc({ type: "message" });
+      }
+    };
+
+    // Messages are handled one at a time, in order: an update is only
+    // checked once the client's previous update, which it may build on,
+    // has been applied
+    let processing = Promise.resolve();
+    const enqueueMessage = (raw, isBinary, receivedAt = Date.now()) => {
+      const handled = processing.then(() => handleMessage(raw, isBinary, receivedAt));
+      pendingMessages.add(handled);
+      handled.finally(() => pendingMessages.delete(handled));
+      processing = handled;
+    };
+
+    ws.off("message", bufferMessage);
+    ws.on("message", enqueueMessage);
+    for (const [raw, isBinary, receivedAt] of earlyMessages.splice(0)) {
+      enqueueMessage(raw, isBinary, receivedAt);
+    }
 
     /**
      * Handle errors
@@ -163,22 +857,549 @@ wss.on("connection", async (ws, req) => {
     });
   } catch (error) {
     console.error(`[WS] Connection error: ${error.message}`);
+    errorsTotal.inc({ type: "connection" });
     ws.close(1011, "Internal server error");
   }
 });
 
 /**
- * Subscribe to Redis pub/sub for cross-instance updates
+ * Relay awareness changes to local clients and, unless they came from
+ * another instance or a local timeout, to the other instances
  */
-redisSub.psubscribe("room:*", (err, count) => {
-  if (err) {
-    console.error(`[Redis] Subscribe error: ${err.message}`);
-  } else {
-    console.log(`[Redis] Subscribed to ${count} patterns`);
+roomManager.on("awareness", async (roomId, { added, updated, removed }, origin) => {
+  const room = roomManager.getRoom(roomId);
+  if (!room) return;
+
+  const changedClients = added.concat(updated, removed);
+  const update = awarenessProtocol.encodeAwarenessUpdate(
+    room.awareness,
+    changedClients
+  );
+
+  for (const client of room.clients) {
+    if (isKeepingUp(client)) {
+      sendToClient(client, (p) => p.encodeAwareness(update));
+    }
+  }
+
+  // Timeouts are detected by every instance on its own
+  if (origin === "redis" || origin === "timeout") return;
+
+  try {
+    await publishToRoom(roomId, {
+      awareness: Buffer.from(update).toString("base64"),
+    });
+  } catch (error) {
+    console.error(`[Redis] Error publishing awareness: ${error.message}`);
   }
 });
 
-redisSub.on("pmessage", async (pattern, channel, message) => {
+/**
+ * Check an update against the update size, document size and room rate
+ * limits, then against the room's schema. Returns null if it may be
+ * applied, else the violation as { reason, code, message, status }
+ * (status for HTTP responses).
+ */
+async function checkUpdate(roomId, update) {
+  const { maxDocumentSize } = policies.forRoom(roomId);
+  let violation = null;
+
+  if (MAX_UPDATE_SIZE > 0 && update.length > MAX_UPDATE_SIZE) {
+    violation = {
+      reason: "update_size",
+      code: "update_too_large",
+      message: `Update of ${update.length} bytes exceeds the limit of ${MAX_UPDATE_SIZE} bytes`,
+      status: 413,
+    };
+  } else if (maxDocumentSize > 0 && !(await fitsDocumentSize(roomId, update, maxDocumentSize))) {
+    violation = {
+      reason: "document_size",
+      code: "document_too_large",
+      message: `Room ${roomId} has reached the document size limit of ${maxDocumentSize} bytes`,
+      status: 413,
+    };
+  } else if (!(await rateLimiter.takeRoomToken(roomId))) {
+    violation = {
+      reason: "room_rate",
+      code: "rate_limited",
+      message: `Too many updates in room ${roomId}`,
+      status: 429,
+    };
+  } else {
+    const error = await validateSchema(roomId, update);
+    if (error) {
+      violation = {
+        reason: "schema",
+        code: "schema_violation",
+        message: `Update violates the schema of room ${roomId}: ${error}`,
+        status: 422,
+      };
+    }
+  }
+
+  if (violation) {
+    updatesRejected.inc({ reason: violation.reason });
+  }
+  return violation;
+}
+
+/**
+ * Apply an update to a scratch copy of the room's document and check the
+ * result against the room's schema. Returns the violation or null.
+ */
+async function validateSchema(roomId, update) {
+  const schema = schemas.forRoom(roomId);
+  if (!schema) return null;
+  return schema.validateUpdate(await currentState(roomId), update);
+}
+
+/**
+ * Check whether the room's document stays within its `maxSize` with the
+ * update. The tracked size is an upper bound, so it is only recomputed
+ * when it says no. Updates that only delete are always allowed, so a
+ * full document can still be trimmed.
+ */
+async function fitsDocumentSize(roomId, update, maxSize) {
+  const size = await roomManager.getDocumentSize(roomId);
+  if (size + update.length <= maxSize) return true;
+
+  const exactSize = await roomManager.getDocumentSize(roomId, { exact: true });
+  if (exactSize + update.length <= maxSize) return true;
+
+  return Y.decodeUpdate(update).structs.length === 0;
+}
+
+/**
+ * Apply an update to a room and distribute it to local clients (except
+ * the sender), to the other instances and to the room's persisted log.
+ * Used for client edits and for server-side edits such as restores.
+ * Distribution is batched; resolves once the update has been published.
+ * `receivedAt` is when the update arrived, for the fan-out latency,
+ * `span` the span of the request that carried it, if any, and `author`
+ * the ID of the user who made it, whose undo history records it.
+ */
+async function applyUpdate(
+  roomId,
+  update,
+  sender = null,
+  { receivedAt = Date.now(), span = null, author = null } = {}
+) {
+  const applySpanOptions = {
+    parent: span,
+    attributes: { "collab.room": roomId, "collab.update.bytes": update.length },
+  };
+  await tracing.withSpan("collab.apply_update", applySpanOptions, async (applySpan) => {
+    updateSize.observe(update.length);
+    roomMetrics.updateReceived(roomId, update.length);
+
+    // Undoing deletions needs the state they were made on
+    let before = null;
+    if (author && undoHistory.needsState(update)) {
+      const current = roomManager.getRoom(roomId);
+      before =
+        current && !current.owner ? Y.encodeStateAsUpdate(current.doc) : await currentState(roomId);
+    }
+
+    const room = roomManager.getRoom(roomId);
+    if (room && !room.owner) {
+      const endApply = updateApplyDuration.startTimer({ source: "local" });
+      const apply = () => Y.applyUpdate(room.doc, update);
+      if (webhooks.enabled) {
+        reportChanges(roomId, trackChangedTypes(room.doc, apply));
+      } else {
+        apply();
+      }
+      endApply();
+      updatesTotal.inc();
+    } else if (webhooks.enabled) {
+      // Not loaded here (e.g. a REST write) or proxied: find the changed
+      // types on a copy of the stored document
+      const doc = docFromState(await roomManager.getState(roomId));
+      reportChanges(roomId, trackChangedTypes(doc, () => Y.applyUpdate(doc, update)));
+      doc.destroy();
+    }
+
+    // Recorded in the background, so the sender's next message does not
+    // wait for it; record() logs its own errors
+    if (author) {
+      undoHistory.record(roomId, author, update, before);
+    }
+
+    await batcher.add(roomId, {
+      update,
+      sender,
+      origin: INSTANCE_ID,
+      receivedAt,
+      span: applySpan,
+    });
+  });
+}
+
+function reportChanges(roomId, changedTypes) {
+  webhooks.documentChanged(roomId, changedTypes).catch(reportWebhookError);
+}
+
+/**
+ * Distribute a room's batch of updates: one merged frame per client
+ * (without the client's own updates), then one Redis publish and one
+ * queued log append for the updates that originated here. Traced as a
+ * child of the batch's first update, linked to the others.
+ */
+async function flushUpdates(roomId, entries) {
+  const spanOptions = {
+    parent: entries[0].span,
+    links: entries.slice(1).map((entry) => entry.span).filter(Boolean),
+    attributes: { "collab.room": roomId, "collab.batch.updates": entries.length },
+  };
+  await tracing.withSpan("collab.broadcast", spanOptions, (span) =>
+    distributeUpdates(roomId, entries, span)
+  );
+}
+
+async function distributeUpdates(roomId, entries, span) {
+  const room = roomManager.getRoom(roomId);
+  if (room) {
+    const origins = new Set(entries.map((entry) => entry.origin));
+    const origin = origins.size === 1 ? entries[0].origin : INSTANCE_ID;
+
+    // Frames are encoded once per set of updates and protocol
+    const frameCache = new Map(); // sender => Map(protocol name => frame)
+    const frameFor = (sender) => {
+      if (!frameCache.has(sender)) {
+        const updates = entries
+          .filter((entry) => sender === null || entry.sender !== sender)
+          .map((entry) => entry.update);
+        frameCache.set(
+          sender,
+          updates.length > 0 ? { update: mergeAll(updates), frames: new Map() } : null
+        );
+      }
+      return frameCache.get(sender);
+    };
+    const senders = new Set(entries.map((entry) => entry.sender));
+
+    let delivered = 0;
+    for (const client of room.clients) {
+      if (!isKeepingUp(client, roomId)) continue;
+
+      const batch = frameFor(senders.has(client) ? client : null);
+      if (!batch) continue;
+      sendToClient(client, (p) => {
+        if (!batch.frames.has(p.name)) {
+          batch.frames.set(p.name, p.encodeUpdate(batch.update, origin));
+        }
+        return batch.frames.get(p.name);
+      });
+      delivered++;
+    }
+    span.setAttribute("collab.clients", delivered);
+    if (delivered > 0) {
+      observeFanout(entries);
+    }
+  }
+
+  // Updates from other instances were published and persisted there
+  const local = entries.filter((entry) => entry.origin === INSTANCE_ID);
+  if (local.length === 0) return;
+  const update = mergeAll(local.map((entry) => entry.update));
+
+  roomManager.queueUpdate(roomId, update);
+  if (!streams) return;
+
+  const publishSpanOptions = {
+    parent: span,
+    kind: SpanKind.PRODUCER,
+    attributes: { "collab.room": roomId, "collab.update.bytes": update.length },
+  };
+  await tracing.withSpan("collab.stream.publish", publishSpanOptions, (publishSpan) =>
+    streams.add(roomId, update, {
+      receivedAt: Math.min(...local.map((entry) => entry.receivedAt)),
+      trace: tracing.inject(publishSpan),
+    })
+  );
+}
+
+/**
+ * Record how long the updates of a delivered batch took from their
+ * arrival at their origin instance to being handed to the clients'
+ * sockets here. Network transit to the clients is not included; remote
+ * latencies include the clock difference between the instances.
+ */
+function observeFanout(entries) {
+  const now = Date.now();
+  for (const { origin, receivedAt } of entries) {
+    if (!receivedAt) continue;
+    fanoutLatency.observe(
+      { origin: origin === INSTANCE_ID ? "local" : "remote" },
+      Math.max(0, now - receivedAt) / 1000
+    );
+  }
+}
+
+function mergeAll(updates) {
+  return updates.length === 1 ? updates[0] : Y.mergeUpdates(updates);
+}
+
+/**
+ * Check whether an open client's send buffer is within
+ * MAX_BUFFERED_AMOUNT. A client over it gets no updates until its buffer
+ * has drained, and is then sent the room's full state to catch up.
+ */
+function isKeepingUp(client, roomId = null) {
+  if (client.readyState !== WebSocket.OPEN) return false;
+
+  const connection = connections.get(client);
+  if (connection.lagging) return false;
+  if (MAX_BUFFERED_AMOUNT <= 0 || client.bufferedAmount <= MAX_BUFFERED_AMOUNT) return true;
+
+  if (roomId) {
+    console.log(`[WS] Client ${connection.clientId} is falling behind, holding back updates`);
+    connection.lagging = true;
+    resyncWhenDrained(client, roomId);
+  }
+  return false;
+}
+
+function resyncWhenDrained(client, roomId) {
+  const timer = setInterval(() => {
+    if (client.readyState !== WebSocket.OPEN) {
+      clearInterval(timer);
+      return;
+    }
+    if (client.bufferedAmount > MAX_BUFFERED_AMOUNT / 2) return;
+
+    clearInterval(timer);
+    const connection = connections.get(client);
+    connection.lagging = false;
+    const room = roomManager.getRoom(roomId);
+    if (room) {
+      resyncClient(client, roomId, room).catch((error) => {
+        console.error(`[WS] Error resyncing client ${connection.clientId}: ${error.message}`);
+      });
+    }
+  }, 100);
+}
+
+async function resyncClient(client, roomId, room) {
+  const fullState = await diffOf(roomId, room);
+  if (client.readyState !== WebSocket.OPEN) return;
+  sendToClient(client, (p) => p.encodeUpdate(fullState, INSTANCE_ID));
+  clientResyncs.inc();
+  console.log(`[WS] Resynced client ${connections.get(client).clientId} in room ${roomId}`);
+}
+
+// How each room control closes the room, see RoomManager.closeRoom
+const roomControls = {
+  delete: { code: CloseCode.ROOM_DELETED, reason: "Room deleted", deleteState: true },
+  evict: { code: CloseCode.ROOM_EVICTED, reason: "Room evicted" },
+};
+
+/**
+ * Delete or evict a room on every instance. The other instances are
+ * told first so they stop accepting updates for it.
+ */
+async function closeRoomEverywhere(roomId, control) {
+  await batcher.flushRoom(roomId);
+  await publishToRoom(roomId, { control });
+  await closeRoom(roomId, control);
+}
+
+async function closeRoom(roomId, control) {
+  await roomManager.closeRoom(roomId, roomControls[control]);
+  if (control === "delete") {
+    await streams?.delete(roomId);
+  }
+}
+
+/**
+ * Start receiving a room's messages and stream entries from other
+ * instances. Runs before the room's state is loaded and waits until
+ * Redis has confirmed the subscription, so nothing published while the
+ * snapshot is read is missed; stream reads start `STREAM_REPLAY_WINDOW`
+ * ms in the past anyway. Proxies sync their clients with the owner, so
+ * they only look back far enough to cover clock differences with Redis.
+ */
+async function subscribeRoom(roomId) {
+  if (!redisSub) return;
+
+  const proxied = ownership?.remoteOwner(roomId);
+  streams.track(roomId, proxied ? Math.min(5000, STREAM_REPLAY_WINDOW) : STREAM_REPLAY_WINDOW);
+  try {
+    await redisSub.subscribe(`room:${roomId}`);
+    failedSubscriptions.delete(roomId);
+    console.log(`[Redis] Subscribed to room ${roomId}`);
+  } catch (error) {
+    // Local clients can still collaborate; reconciliation catches up
+    // with the other instances once the room is subscribed again
+    failedSubscriptions.add(roomId);
+    console.error(`[Redis] Error subscribing to room ${roomId}: ${error.message}`);
+  }
+}
+
+/**
+ * Retry the failed subscriptions of rooms still held here
+ */
+function retrySubscriptions() {
+  for (const roomId of failedSubscriptions) {
+    if (roomManager.getRoom(roomId) || roomManager.loading.has(roomId)) {
+      subscribeRoom(roomId);
+    } else {
+      failedSubscriptions.delete(roomId);
+    }
+  }
+}
+
+async function unsubscribeRoom(roomId) {
+  failedSubscriptions.delete(roomId);
+  streams.untrack(roomId);
+  try {
+    await redisSub.unsubscribe(`room:${roomId}`);
+    console.log(`[Redis] Unsubscribed from room ${roomId}`);
+  } catch (error) {
+    console.error(`[Redis] Error unsubscribing from room ${roomId}: ${error.message}`);
+  }
+}
+
+/**
+ * Ask the other instances holding a room for their clients' awareness
+ * states, which were announced before we subscribed
+ */
+async function queryRemoteAwareness(roomId) {
+  try {
+    await publishToRoom(roomId, { queryAwareness: true });
+  } catch (error) {
+    console.error(`[Redis] Error querying awareness: ${error.message}`);
+  }
+}
+
+/**
+ * Publish a message to the other instances serving a room
+ */
+async function publishToRoom(roomId, payload) {
+  if (!redisPub) return; // standalone instance
+
+  const redisPayload = { instanceId: INSTANCE_ID, room: roomId, ...payload };
+  try {
+    await redisPub.publish(`room:${roomId}`, JSON.stringify(redisPayload));
+  } catch (error) {
+    publishFailures.inc({ channel: "pubsub" });
+    throw error;
+  }
+}
+
+/**
+ * Apply an update another instance added to a room's stream and
+ * broadcast it to local clients with the next batch, unless we already
+ * had it (e.g. when replaying). Not persisted here: the originating
+ * instance logs it. Proxies relay it to their clients as is.
+ */
+function handleStreamUpdate(roomId, update, origin, { receivedAt, trace }) {
+  const room = roomManager.getRoom(roomId);
+  if (!room) return;
+
+  // Continues the trace of the instance that added the update
+  const span = tracing.startSpan("collab.stream.receive", {
+    parent: trace,
+    kind: SpanKind.CONSUMER,
+    attributes: {
+      "collab.room": roomId,
+      "collab.origin_instance": origin,
+      "collab.update.bytes": update.length,
+    },
+  });
+
+  const end = () => span.end();
+  if (room.owner) {
+    batcher.add(roomId, { update, sender: null, origin, receivedAt, span }).then(end, end);
+    return;
+  }
+
+  let changed = false;
+  const onUpdate = () => {
+    changed = true;
+  };
+  room.doc.on("update", onUpdate);
+  const endApply = updateApplyDuration.startTimer({ source: "remote" });
+  try {
+    Y.applyUpdate(room.doc, update);
+  } catch (error) {
+    console.error(`[Streams] Error applying update to room ${roomId}: ${error.message}`);
+    errorsTotal.inc({ type: "stream" });
+    tracing.fail(span, error);
+  } finally {
+    endApply();
+    room.doc.off("update", onUpdate);
+  }
+
+  span.setAttribute("collab.changed", changed);
+  if (changed) {
+    updatesTotal.inc();
+    batcher.add(roomId, { update, sender: null, origin, receivedAt, span }).then(end, end);
+  } else {
+    span.end();
+  }
+}
+
+/**
+ * Announce the state vector of every active room every
+ * RECONCILE_INTERVAL ms, so that instances holding updates we lack (lost
+ * beyond the stream's retention, or from an instance that died) send
+ * them; see reconcile(). Proxied rooms are reconciled by their owner.
+ */
+function startReconciliation() {
+  const timer = setInterval(async () => {
+    for (const [roomId, room] of roomManager.rooms) {
+      if (room.owner) continue;
+      try {
+        await publishToRoom(roomId, {
+          stateVector: Buffer.from(Y.encodeStateVector(room.doc)).toString("base64"),
+        });
+      } catch (error) {
+        console.error(`[Redis] Error announcing state vector: ${error.message}`);
+      }
+    }
+  }, RECONCILE_INTERVAL);
+  timer.unref();
+}
+
+/**
+ * Compare another instance's state vector for a room with ours. If it
+ * lacks updates we have, add the diff to the room's stream; if we lack
+ * updates it has, announce our state vector so it sends them.
+ *
+ * State vectors only cover inserted content, so deletions alone do not
+ * count as divergence; they travel with the next diff.
+ */
+async function reconcile(roomId, stateVector, instanceId) {
+  const room = roomManager.getRoom(roomId);
+  if (!room || room.owner) return;
+
+  const ourStateVector = Y.encodeStateVector(room.doc);
+  const ours = Y.decodeStateVector(ourStateVector);
+  const theirs = Y.decodeStateVector(stateVector);
+  const isAhead = (a, b) => Array.from(a).some(([client, clock]) => clock > (b.get(client) || 0));
+
+  if (isAhead(ours, theirs)) {
+    console.log(
+      `[Streams] Instance ${instanceId} is missing updates in room ${roomId}, sending diff`
+    );
+    await streams.add(roomId, Y.encodeStateAsUpdate(room.doc, stateVector));
+    reconcileDiffs.inc();
+  }
+  if (isAhead(theirs, ours)) {
+    await publishToRoom(roomId, {
+      stateVector: Buffer.from(ourStateVector).toString("base64"),
+    });
+  }
+}
+
+/**
+ * Handle awareness, room controls and state vectors published by other
+ * instances on the channels of rooms we hold
+ */
+async function handleRedisMessage(channel, message) {
+  if (!channel.startsWith("room:")) return; // see RoomOwnership
+
   try {
     const msg = JSON.parse(message);
 
@@ -188,60 +1409,342 @@ redisSub.on("pmessage", async (pattern, channel, message) => {
     }
 
     const roomId = msg.room;
-    const updateB64 = msg.update;
-
-    console.log(
-      `[Redis] Received update for room ${roomId} from instance ${msg.instanceId}`
-    );
 
-    // Get or create room
-    const room = await roomManager.ensureRoom(roomId);
+    // Deletes and evictions only concern instances holding or loading
+    // the room. A delete is repeated after our own pending writes are
+    // flushed.
+    if (msg.control) {
+      const held = roomManager.getRoom(roomId) || roomManager.loading.has(roomId);
+      if (roomControls[msg.control] && held) {
+        await batcher.flushRoom(roomId);
+        await closeRoom(roomId, msg.control);
+      }
+      return;
+    }
 
-    // Apply update
-    const updateBuf = Buffer.from(updateB64, "base64");
-    Y.applyUpdate(room.doc, updateBuf);
-    updatesTotal.inc();
+    // Awareness is only relevant to rooms with local clients. States of a
+    // dead instance's clients expire through the awareness timeout.
+    if (msg.awareness) {
+      const room = roomManager.getRoom(roomId);
+      if (room) {
+        awarenessProtocol.applyAwarenessUpdate(
+          room.awareness,
+          Buffer.from(msg.awareness, "base64"),
+          "redis"
+        );
+      }
+      return;
+    }
 
-    // Broadcast to all local clients
-    for (const client of room.clients) {
-      if (client.readyState === WebSocket.OPEN) {
-        const broadcast = {
-          type: "sync",
-          action: "update",
-          update: updateB64,
-          originInstance: msg.instanceId,
-        };
-        client.send(JSON.stringify(broadcast));
-        messagesSent.inc();
+    // Another instance just loaded the room; states are relayed with
+    // origin "redis", so they are not published again
+    if (msg.queryAwareness) {
+      const room = roomManager.getRoom(roomId);
+      const clients = room ? Array.from(room.awareness.getStates().keys()) : [];
+      if (clients.length > 0) {
+        const update = awarenessProtocol.encodeAwarenessUpdate(room.awareness, clients);
+        await publishToRoom(roomId, { awareness: Buffer.from(update).toString("base64") });
       }
+      return;
     }
 
-    // Persist updated state
-    await roomManager.persistRoom(roomId);
+    if (msg.stateVector) {
+      const stateVector = new Uint8Array(Buffer.from(msg.stateVector, "base64"));
+      await reconcile(roomId, stateVector, msg.instanceId);
+    }
   } catch (error) {
     console.error(`[Redis] Error processing message: ${error.message}`);
+    errorsTotal.inc({ type: "redis" });
   }
-});
+}
 
 /**
- * Graceful shutdown
+ * The state vector of a room's document, from its owner if proxied
  */
-process.on("SIGTERM", async () => {
-  console.log("[Server] SIGTERM received, shutting down gracefully");
-  
-  // Persist all rooms
-  for (const [roomId] of roomManager.rooms) {
-    await roomManager.persistRoom(roomId);
+async function stateVectorOf(roomId, room) {
+  if (!room.owner) {
+    return Y.encodeStateVector(room.doc);
   }
-  
-  wss.close(() => {
-    server.close(() => {
-      redisPub.disconnect();
-      redisSub.disconnect();
-      process.exit(0);
+  const { stateVector } = await ownership.request(room.owner, "stateVector", roomId);
+  return fromBase64(stateVector);
+}
+
+/**
+ * The updates of a room's document that are missing from `stateVector`
+ * (all of them without one), from its owner if proxied
+ */
+async function diffOf(roomId, room, stateVector = undefined) {
+  if (!room.owner) {
+    return Y.encodeStateAsUpdate(room.doc, stateVector);
+  }
+  const { update } = await ownership.request(room.owner, "diff", roomId, {
+    stateVector: stateVector ? toBase64(stateVector) : null,
+  });
+  return fromBase64(update);
+}
+
+/**
+ * The full state of a room, from its owner if proxied. For rooms not
+ * loaded here, updates applied here but not persisted yet are persisted
+ * first.
+ */
+async function currentState(roomId) {
+  const room = roomManager.getRoom(roomId);
+  if (room) {
+    return diffOf(roomId, room);
+  }
+  await batcher.flushRoom(roomId);
+  await roomManager.persistQueued(roomId);
+  return roomManager.getState(roomId);
+}
+
+/**
+ * Load a room for a request from a proxy. The room stays loaded while
+ * proxies use it, even without local clients: each request restarts the
+ * eviction timeout.
+ */
+async function ensureOwnedRoom(roomId) {
+  const room = await roomManager.ensureRoom(roomId);
+  if (room.clients.size === 0) {
+    roomManager.scheduleEviction(roomId);
+  }
+  if (room.owner) {
+    throw new Error(`Room ${roomId} is owned by instance ${room.owner}`);
+  }
+  return room;
+}
+
+async function serveStateVector(roomId) {
+  const room = await ensureOwnedRoom(roomId);
+  return { stateVector: toBase64(Y.encodeStateVector(room.doc)) };
+}
+
+async function serveDiff(roomId, { stateVector }) {
+  const room = await ensureOwnedRoom(roomId);
+  const update = Y.encodeStateAsUpdate(room.doc, stateVector ? fromBase64(stateVector) : undefined);
+  return { update: toBase64(update) };
+}
+
+/**
+ * Check and apply a client update a proxy forwarded. The proxy relays
+ * it back to its clients from the room's stream, sender included.
+ */
+async function serveForwardedUpdate(roomId, { update, author, receivedAt, trace }, from) {
+  await ensureOwnedRoom(roomId);
+  const bytes = fromBase64(update);
+  const spanOptions = {
+    parent: trace,
+    kind: SpanKind.SERVER,
+    attributes: {
+      "collab.room": roomId,
+      "collab.proxy_instance": from,
+      "collab.update.bytes": bytes.length,
+    },
+  };
+  return tracing.withSpan("collab.owner.receive_update", spanOptions, async (span) => {
+    const violation = await checkUpdate(roomId, bytes);
+    if (violation) {
+      span.setStatus({ code: SpanStatusCode.ERROR, message: violation.message });
+      span.setAttribute("collab.rejected", violation.code);
+      return { violation };
+    }
+    await applyUpdate(roomId, bytes, null, { receivedAt, span, author });
+    return { violation: null };
+  });
+}
+
+/**
+ * Take over a room from its previous owner. The room is loaded here
+ * and merged with the state it sent; whatever that state holds beyond
+ * the persisted one (appends that failed there) is applied and
+ * persisted here.
+ */
+async function acceptHandoff(roomId, { state }, from) {
+  const room = await ensureOwnedRoom(roomId);
+  // Only what the room lacks is applied, logged and broadcast
+  const update = Y.diffUpdate(fromBase64(state), Y.encodeStateVector(room.doc));
+
+  let changed = false;
+  const onUpdate = () => {
+    changed = true;
+  };
+  room.doc.on("update", onUpdate);
+  try {
+    Y.applyUpdate(room.doc, update);
+  } finally {
+    room.doc.off("update", onUpdate);
+  }
+  if (changed) {
+    await applyUpdate(roomId, update);
+  }
+  console.log(`[Sharding] Took over room ${roomId} from instance ${from}`);
+}
+
+const moveControl = { code: CloseCode.ROOM_MOVED, reason: "Room moved to another instance" };
+
+/**
+ * Move the rooms whose owner changed with the set of instances. Rooms
+ * owned here are handed over to their new owner first. The clients are
+ * disconnected and reconnect, to any instance, to sync with the new
+ * owner.
+ */
+async function moveRooms() {
+  const moves = [];
+  for (const [roomId, room] of roomManager.rooms) {
+    const owner = ownership.remoteOwner(roomId);
+    if (owner === room.owner) continue;
+
+    console.log(`[Sharding] Room ${roomId} moves to instance ${owner || INSTANCE_ID}`);
+    moves.push(
+      (async () => {
+        if (!room.owner) {
+          await handOff(roomId, room, owner);
+        }
+        await roomManager.closeRoom(roomId, moveControl);
+      })()
+    );
+  }
+  await Promise.all(moves);
+}
+
+/**
+ * Persist what is queued for a room owned here and send its full state
+ * to its next owner
+ */
+async function handOff(roomId, room, owner) {
+  await batcher.flushRoom(roomId);
+  await roomManager.persistQueued(roomId);
+  if (!owner) return;
+
+  try {
+    await ownership.request(owner, "handoff", roomId, {
+      state: toBase64(Y.encodeStateAsUpdate(room.doc)),
+    });
+    console.log(`[Sharding] Handed room ${roomId} over to instance ${owner}`);
+  } catch (error) {
+    // Everything is persisted, so the new owner loads it from storage
+    console.error(`[Sharding] Error handing room ${roomId} over to ${owner}: ${error.message}`);
+  }
+}
+
+/**
+ * Hand the rooms owned here over to their next owners, before exiting
+ */
+async function handOffRooms() {
+  await Promise.all(
+    Array.from(roomManager.rooms)
+      .filter(([, room]) => !room.owner)
+      .map(([roomId, room]) => handOff(roomId, room, ownership.successorOf(roomId)))
+  );
+}
+
+/**
+ * Drain the instance before it exits, so rolling restarts lose no edits:
+ * stop accepting connections (and report "draining" on /health), move
+ * the clients to other instances, then publish and persist everything
+ * still queued. With sharding the instance leaves the ring first, so
+ * its rooms get new owners, and hands them over once its clients are
+ * gone. Exits with an error if this takes longer than
+ * DRAIN_TIMEOUT ms; a second signal exits immediately.
+ */
+async function drain(signal) {
+  if (draining) {
+    console.log(`[Server] ${signal} received while draining, exiting now`);
+    process.exit(1);
+  }
+  draining = true;
+  console.log(`[Server] ${signal} received, draining`);
+
+  setTimeout(() => {
+    console.error(`[Server] Drain did not finish within ${DRAIN_TIMEOUT} ms, exiting`);
+    process.exit(1);
+  }, DRAIN_TIMEOUT);
+
+  try {
+    versionHistory.stop();
+    health.stop();
+    await lifecycle.stop();
+    if (ownership) {
+      await registry.stop();
+      await ownership.leave();
+    }
+    await disconnectClients();
+    await Promise.allSettled(pendingMessages);
+    await closeHttpServer();
+
+    // Send out pending batches and persist queued updates
+    await batcher.flush();
+    await roomManager.flush();
+    if (ownership) {
+      await handOffRooms();
+      await ownership.stop();
+    } else {
+      await registry.stop();
+    }
+    await streams?.stop();
+    await webhooks.flush();
+    await tracing.shutdown();
+
+    // QUIT waits for the replies to commands already sent
+    await Promise.allSettled([redisPub?.quit(), redisSub?.quit()]);
+  } catch (error) {
+    console.error(`[Server] Error while draining: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log("[Server] Drained, exiting");
+  process.exit(0);
+}
+
+/**
+ * Ask every client to reconnect after a random delay of up to
+ * DRAIN_SPREAD ms, so they do not all arrive at the remaining instances
+ * at once, and close each connection shortly after its delay. Clients
+ * whose protocol has no reconnect message (y-websocket) reconnect when
+ * the connection is closed. Resolves once all connections are closed.
+ */
+function disconnectClients() {
+  const closeGrace = 1000; // time for clients to leave on their own
+  const closed = Array.from(wss.clients, (ws) => {
+    const delay = Math.floor(Math.random() * DRAIN_SPREAD);
+    const connection = connections.get(ws);
+    const frame = connection?.protocol.encodeReconnect(delay);
+    if (frame && ws.readyState === WebSocket.OPEN) {
+      ws.send(frame);
+    }
+
+    return new Promise((resolve) => {
+      if (ws.readyState === WebSocket.CLOSED) {
+        resolve();
+        return;
+      }
+      const timer = setTimeout(() => {
+        ws.close(CloseCode.SERVICE_RESTART, "Server restarting");
+      }, delay + closeGrace);
+      ws.once("close", () => {
+        clearTimeout(timer);
+        resolve();
+      });
     });
   });
-});
+
+  console.log(`[Server] Moving ${closed.length} clients to other instances`);
+  return Promise.all(closed);
+}
+
+/**
+ * Stop the HTTP server and wait for requests in progress
+ */
+function closeHttpServer() {
+  return new Promise((resolve) => {
+    wss.close();
+    server.close(() => resolve());
+    server.closeIdleConnections();
+  });
+}
+
+process.on("SIGTERM", () => drain("SIGTERM"));
+process.on("SIGINT", () => drain("SIGINT"));
 
 // Start server
 server.listen(PORT, () => {
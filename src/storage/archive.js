@@ -0,0 +1,119 @@
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { randomUUID } from "crypto";
+import { promisify } from "util";
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * RoomArchive keeps cold rooms outside the storage backend, one gzipped
+ * JSON file per room under `dir` (`{roomId}.json.gz`, URI-encoded) with
+ * the document state and the room's versions. A file's modification
+ * time is the room's last update, so archives can expire in turn.
+ */
+class RoomArchive {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  file(roomId) {
+    return path.join(this.dir, `${encodeURIComponent(roomId)}.json.gz`);
+  }
+
+  async has(roomId) {
+    try {
+      await fs.access(this.file(roomId));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Archive a room: its state, its versions as { version, state } and
+   * the time of its last update
+   */
+  async write(roomId, { state, versions = [], updatedAt = null }) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const data = await gzip(
+      JSON.stringify({
+        room: roomId,
+        archivedAt: new Date().toISOString(),
+        updatedAt,
+        state: toBase64(state),
+        versions: versions.map((entry) => ({ version: entry.version, state: toBase64(entry.state) })),
+      })
+    );
+
+    // Written through a temporary file so readers never see a partial one
+    const file = this.file(roomId);
+    const tmp = `${file}.${randomUUID()}.tmp`;
+    await fs.writeFile(tmp, data);
+    if (updatedAt) {
+      const time = new Date(updatedAt);
+      await fs.utimes(tmp, time, time);
+    }
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * Read a room's archive: { state, versions, updatedAt, archivedAt }, or
+   * null if it is not archived
+   */
+  async read(roomId) {
+    let data;
+    try {
+      data = await fs.readFile(this.file(roomId));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    const archived = JSON.parse(await gunzip(data));
+    return {
+      state: fromBase64(archived.state),
+      versions: archived.versions.map((entry) => ({
+        version: entry.version,
+        state: fromBase64(entry.state),
+      })),
+      updatedAt: archived.updatedAt,
+      archivedAt: archived.archivedAt,
+    };
+  }
+
+  async delete(roomId) {
+    await fs.rm(this.file(roomId), { force: true });
+  }
+
+  /**
+   * List the archived rooms with the time of their last update
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    return Promise.all(
+      files
+        .filter((file) => file.endsWith(".json.gz"))
+        .map(async (file) => {
+          const { mtime } = await fs.stat(path.join(this.dir, file));
+          return {
+            roomId: decodeURIComponent(file.slice(0, -".json.gz".length)),
+            updatedAt: mtime.toISOString(),
+          };
+        })
+    );
+  }
+}
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString("base64");
+const fromBase64 = (b64) => new Uint8Array(Buffer.from(b64, "base64"));
+
+export default RoomArchive;
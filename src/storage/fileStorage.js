@@ -0,0 +1,335 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+
+/**
+ * FileStorage keeps each room in its own directory under `dir`:
+ *   snapshot.bin  the compacted Yjs state
+ *   updates.log   appended updates, each prefixed by its uint32 length
+ *   versions/     {id}.json metadata and {id}.bin state of each version
+ *   history/      {userId}/{list}.json, each user's undo history lists
+ *
+ * It is meant for a single instance (e.g. development without Redis);
+ * writes to a room are serialized in-process and locks are in-memory.
+ */
+class FileStorage {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.queues = new Map(); // roomId => Promise tail of queued writes
+    this.locks = new Map(); // "roomId/name" => { token, expires }
+    this.logSizes = new Map(); // roomId => { count, bytes } of updates.log
+  }
+
+  /**
+   * Run `fn` after all previously queued operations on the room
+   */
+  enqueue(roomId, fn) {
+    const previous = this.queues.get(roomId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    this.queues.set(roomId, next);
+    next.finally(() => {
+      if (this.queues.get(roomId) === next) this.queues.delete(roomId);
+    }).catch(() => {});
+    return next;
+  }
+
+  roomDir(roomId) {
+    const dir = path.join(this.dir, fileName(roomId));
+    if (path.dirname(dir) !== this.dir) {
+      throw new Error(`Invalid room ID: ${JSON.stringify(roomId)}`);
+    }
+    return dir;
+  }
+
+  async load(roomId) {
+    return this.enqueue(roomId, async () => {
+      const snapshot = await readOptional(path.join(this.roomDir(roomId), "snapshot.bin"));
+      const updates = await this.openLog(roomId, path.join(this.roomDir(roomId), "updates.log"));
+      return {
+        snapshot: snapshot ? new Uint8Array(snapshot) : null,
+        updates,
+      };
+    });
+  }
+
+  /**
+   * Append an update to the log; returns the log's size afterwards
+   */
+  async appendUpdate(roomId, update) {
+    return this.enqueue(roomId, async () => {
+      const dir = this.roomDir(roomId);
+      const logFile = path.join(dir, "updates.log");
+      await fs.mkdir(dir, { recursive: true });
+
+      if (!this.logSizes.has(roomId)) {
+        await this.openLog(roomId, logFile);
+      }
+
+      await fs.appendFile(logFile, encodeRecord(update));
+
+      const size = this.logSizes.get(roomId);
+      size.count += 1;
+      size.bytes += update.length;
+      return { ...size };
+    });
+  }
+
+  /**
+   * Read a room's log and track its size. A truncated record left by a
+   * crash mid-append is cut off, so that appends start after the last
+   * complete record.
+   */
+  async openLog(roomId, logFile) {
+    const log = await readOptional(logFile);
+    const { updates, end } = decodeLog(log || Buffer.alloc(0));
+    if (log && end < log.length) {
+      await fs.truncate(logFile, end);
+    }
+    this.logSizes.set(roomId, measure(updates));
+    return updates;
+  }
+
+  /**
+   * Persisted size in bytes (snapshot plus log) and time of the last
+   * write, or null if nothing is stored for the room
+   */
+  async stat(roomId) {
+    let size = 0;
+    let updatedAt = null;
+    for (const file of ["snapshot.bin", "updates.log"]) {
+      try {
+        const stats = await fs.stat(path.join(this.roomDir(roomId), file));
+        size += stats.size;
+        if (!updatedAt || stats.mtime > updatedAt) updatedAt = stats.mtime;
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+    return updatedAt ? { size, updatedAt: updatedAt.toISOString() } : null;
+  }
+
+  /**
+   * Replace the snapshot and drop the first `compactedCount` log entries
+   * (folded into it). With `lock`, the write only happens while the lock
+   * is still held; returns whether it happened.
+   */
+  async writeSnapshot(roomId, snapshot, { compactedCount = 0, lock = null } = {}) {
+    return this.enqueue(roomId, async () => {
+      if (lock && this.locks.get(`${roomId}/compact`)?.token !== lock) {
+        return false;
+      }
+
+      const dir = this.roomDir(roomId);
+      await fs.mkdir(dir, { recursive: true });
+
+      const logFile = path.join(dir, "updates.log");
+      const log = await readOptional(logFile);
+      const remaining = log ? decodeLog(log).updates.slice(compactedCount) : [];
+
+      await writeAtomic(path.join(dir, "snapshot.bin"), Buffer.from(snapshot));
+      await writeAtomic(logFile, Buffer.concat(remaining.map(encodeRecord)));
+      this.logSizes.set(roomId, measure(remaining));
+      return true;
+    });
+  }
+
+  /**
+   * Take one of the room's named locks for `ttl` ms; returns a token or
+   * null if it is held. Snapshot writes check the "compact" lock.
+   */
+  async tryLock(roomId, ttl, name = "compact") {
+    const key = `${roomId}/${name}`;
+    const held = this.locks.get(key);
+    if (held && held.expires > Date.now()) return null;
+
+    const token = randomUUID();
+    this.locks.set(key, { token, expires: Date.now() + ttl });
+    return token;
+  }
+
+  async unlock(roomId, token, name = "compact") {
+    const key = `${roomId}/${name}`;
+    if (this.locks.get(key)?.token === token) {
+      this.locks.delete(key);
+    }
+  }
+
+  /**
+   * Store a version's metadata and full document state
+   */
+  async saveVersion(roomId, version, state) {
+    const dir = path.join(this.roomDir(roomId), "versions");
+    await fs.mkdir(dir, { recursive: true });
+    await writeAtomic(path.join(dir, `${version.id}.bin`), Buffer.from(state));
+    await writeAtomic(path.join(dir, `${version.id}.json`), JSON.stringify(version));
+  }
+
+  /**
+   * List version metadata, oldest first
+   */
+  async listVersions(roomId) {
+    const dir = path.join(this.roomDir(roomId), "versions");
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const versions = await Promise.all(
+      files
+        .filter((file) => file.endsWith(".json"))
+        .map(async (file) => JSON.parse(await fs.readFile(path.join(dir, file), "utf8")))
+    );
+    return versions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Load a version's metadata and state, or null if it does not exist
+   */
+  async loadVersion(roomId, versionId) {
+    const dir = path.join(this.roomDir(roomId), "versions");
+    const version = await readOptional(path.join(dir, `${path.basename(versionId)}.json`));
+    const state = await readOptional(path.join(dir, `${path.basename(versionId)}.bin`));
+    if (!version || !state) return null;
+    return { version: JSON.parse(version), state: new Uint8Array(state) };
+  }
+
+  async deleteVersion(roomId, versionId) {
+    const dir = path.join(this.roomDir(roomId), "versions");
+    await fs.rm(path.join(dir, `${path.basename(versionId)}.json`), { force: true });
+    await fs.rm(path.join(dir, `${path.basename(versionId)}.bin`), { force: true });
+  }
+
+  /**
+   * Prepend an entry to one of a user's history lists, keeping the
+   * newest `maxLength`
+   */
+  async pushHistory(roomId, userId, list, entry, maxLength) {
+    return this.enqueue(roomId, async () => {
+      const entries = await this.readHistory(roomId, userId, list);
+      await this.writeHistory(roomId, userId, list, [entry, ...entries].slice(0, maxLength));
+    });
+  }
+
+  async popHistory(roomId, userId, list) {
+    return this.enqueue(roomId, async () => {
+      const [entry = null, ...rest] = await this.readHistory(roomId, userId, list);
+      if (entry !== null) {
+        await this.writeHistory(roomId, userId, list, rest);
+      }
+      return entry;
+    });
+  }
+
+  async listHistory(roomId, userId, list) {
+    return this.enqueue(roomId, () => this.readHistory(roomId, userId, list));
+  }
+
+  async historyLength(roomId, userId, list) {
+    return (await this.listHistory(roomId, userId, list)).length;
+  }
+
+  async clearHistory(roomId, userId, list) {
+    return this.enqueue(roomId, () => fs.rm(this.historyFile(roomId, userId, list), { force: true }));
+  }
+
+  historyFile(roomId, userId, list) {
+    return path.join(this.roomDir(roomId), "history", fileName(userId), `${list}.json`);
+  }
+
+  async readHistory(roomId, userId, list) {
+    const data = await readOptional(this.historyFile(roomId, userId, list));
+    return data ? JSON.parse(data) : [];
+  }
+
+  async writeHistory(roomId, userId, list, entries) {
+    const file = this.historyFile(roomId, userId, list);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await writeAtomic(file, JSON.stringify(entries));
+  }
+
+  async delete(roomId) {
+    return this.enqueue(roomId, async () => {
+      await fs.rm(this.roomDir(roomId), { recursive: true, force: true });
+      this.logSizes.delete(roomId);
+    });
+  }
+
+  /**
+   * List all rooms with persisted state
+   */
+  async listRooms() {
+    try {
+      const entries = await fs.readdir(this.dir, { withFileTypes: true });
+      return entries
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => decodeURIComponent(entry.name));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+}
+
+/**
+ * Encode an ID as a single path segment. encodeURIComponent leaves "."
+ * and ".." as they are, which would name the parent directory.
+ */
+function fileName(id) {
+  return id === "." || id === ".." ? id.replaceAll(".", "%2E") : encodeURIComponent(id);
+}
+
+/**
+ * Read a file, returning null if it does not exist
+ */
+async function readOptional(file) {
+  try {
+    return await fs.readFile(file);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Write through a temporary file so readers never see a partial file
+ */
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${randomUUID()}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+}
+
+function measure(updates) {
+  return {
+    count: updates.length,
+    bytes: updates.reduce((total, update) => total + update.length, 0),
+  };
+}
+
+function encodeRecord(update) {
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(update.length, 0);
+  return Buffer.concat([header, Buffer.from(update)]);
+}
+
+/**
+ * Split a log file into updates, ignoring a truncated trailing record
+ * left by a crash mid-append. Returns { updates, end }, `end` being the
+ * offset after the last complete record.
+ */
+function decodeLog(log) {
+  const updates = [];
+  let offset = 0;
+  while (offset + 4 <= log.length) {
+    const length = log.readUInt32BE(offset);
+    if (offset + 4 + length > log.length) break;
+    updates.push(new Uint8Array(log.subarray(offset + 4, offset + 4 + length)));
+    offset += 4 + length;
+  }
+  return { updates, end: offset };
+}
+
+export default FileStorage;
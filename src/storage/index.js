@@ -0,0 +1,53 @@
+import RedisStorage from "./redisStorage.js";
+import FileStorage from "./fileStorage.js";
+
+/**
+ * Storage adapters persist each room as a snapshot plus an append-only
+ * update log. Every adapter implements:
+ *
+ *   load(roomId)                  => { snapshot: Uint8Array|null, updates: Uint8Array[] }
+ *   appendUpdate(roomId, update)  => { count, bytes } of the log afterwards
+ *   stat(roomId)                  => { size, updatedAt } or null if nothing is stored
+ *   writeSnapshot(roomId, snapshot, { compactedCount, compactedBytes, lock })
+ *                                 => whether the snapshot was written
+ *   tryLock(roomId, ttl, name)    => lock token, or null if already held
+ *   unlock(roomId, token, name)
+ *   delete(roomId)                   (including versions and history)
+ *   listRooms()                   => roomId[]
+ *
+ * and stores versions, i.e. metadata plus full document state:
+ *
+ *   saveVersion(roomId, version, state)
+ *   listVersions(roomId)          => version[], oldest first
+ *   loadVersion(roomId, versionId) => { version, state } or null
+ *   deleteVersion(roomId, versionId)
+ *
+ * and keeps each user's undo history in a room as named lists of
+ * strings, newest first:
+ *
+ *   pushHistory(roomId, userId, list, entry, maxLength)
+ *                                 (keeps the newest maxLength entries)
+ *   popHistory(roomId, userId, list) => newest entry, or null
+ *   listHistory(roomId, userId, list) => entries, newest first
+ *   historyLength(roomId, userId, list) => number of entries
+ *   clearHistory(roomId, userId, list)
+ */
+
+/**
+ * Create the storage adapter selected by STORAGE_BACKEND
+ */
+function createStorage(backend, { redis, dir }) {
+  switch (backend) {
+    case "redis":
+      if (!redis) {
+        throw new Error("Redis storage requires REDIS_URL");
+      }
+      return new RedisStorage(redis);
+    case "file":
+      return new FileStorage(dir);
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+export { createStorage, RedisStorage, FileStorage };
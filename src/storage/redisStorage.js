@@ -0,0 +1,276 @@
+import { randomUUID } from "crypto";
+
+// Replace the snapshot and drop the compacted head of the update log,
+// but only while the caller still holds the room's lock
+const WRITE_SNAPSHOT_SCRIPT = `
+if ARGV[1] ~= "" and redis.call("GET", KEYS[3]) ~= ARGV[1] then
+  return 0
+end
+redis.call("SET", KEYS[1], ARGV[2])
+redis.call("LTRIM", KEYS[2], tonumber(ARGV[3]), -1)
+redis.call("DECRBY", KEYS[4], tonumber(ARGV[4]))
+return 1
+`;
+
+// Release a lock only if we still own it
+const UNLOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * RedisStorage keeps each room as a base64 snapshot (`room:{roomId}:state`)
+ * plus an append-only list of base64 updates (`room:{roomId}:updates`).
+ * Appends are atomic RPUSHes, so several instances can append to the
+ * same room; snapshot writes are guarded by a per-room lock.
+ *
+ * Versions are stored in two hashes, `room:{roomId}:versions` (metadata
+ * JSON) and `room:{roomId}:version-states` (base64 state), keyed by ID.
+ * Undo history lists are `room:{roomId}:history:{userId}:{list}`, and
+ * the set `room:{roomId}:history-keys` names them for deletion.
+ */
+class RedisStorage {
+  constructor(redisClient) {
+    this.redis = redisClient;
+  }
+
+  /**
+   * Read the snapshot and update log atomically, so a concurrent
+   * compaction cannot trim updates missing from the snapshot we read
+   */
+  async load(roomId) {
+    const [[, snapshot], [, updates]] = await this.redis
+      .multi()
+      .get(stateKey(roomId))
+      .lrange(updatesKey(roomId), 0, -1)
+      .exec();
+
+    return {
+      snapshot: snapshot ? fromBase64(snapshot) : null,
+      updates: updates.map(fromBase64),
+    };
+  }
+
+  /**
+   * Append an update to the log; returns the log's size afterwards
+   */
+  async appendUpdate(roomId, update) {
+    const [[, count], [, bytes]] = await this.redis
+      .multi()
+      .rpush(updatesKey(roomId), Buffer.from(update).toString("base64"))
+      .incrby(logBytesKey(roomId), update.length)
+      .set(updatedAtKey(roomId), Date.now())
+      .exec();
+
+    return { count, bytes };
+  }
+
+  /**
+   * Persisted size in bytes (snapshot plus log) and time of the last
+   * append, or null if nothing is stored for the room
+   */
+  async stat(roomId) {
+    const [[, snapshotLength], [, logBytes], [, updatedAt]] = await this.redis
+      .multi()
+      .strlen(stateKey(roomId))
+      .get(logBytesKey(roomId))
+      .get(updatedAtKey(roomId))
+      .exec();
+
+    if (!snapshotLength && !logBytes) return null;
+    return {
+      // Snapshots are stored as base64
+      size: Math.floor((snapshotLength * 3) / 4) + parseInt(logBytes || "0", 10),
+      updatedAt: updatedAt ? new Date(parseInt(updatedAt, 10)).toISOString() : null,
+    };
+  }
+
+  /**
+   * Replace the snapshot and drop the first `compactedCount` log entries
+   * (folded into it). With `lock`, the write only happens while the lock
+   * is still held; returns whether it happened.
+   */
+  async writeSnapshot(roomId, snapshot, { compactedCount = 0, compactedBytes = 0, lock = "" } = {}) {
+    const written = await this.redis.eval(
+      WRITE_SNAPSHOT_SCRIPT,
+      4,
+      stateKey(roomId),
+      updatesKey(roomId),
+      lockKey(roomId, "compact"),
+      logBytesKey(roomId),
+      lock,
+      Buffer.from(snapshot).toString("base64"),
+      compactedCount,
+      compactedBytes
+    );
+    return written === 1;
+  }
+
+  /**
+   * Take one of the room's named locks for `ttl` ms; returns a token or
+   * null if it is held. Snapshot writes check the "compact" lock.
+   */
+  async tryLock(roomId, ttl, name = "compact") {
+    const token = randomUUID();
+    const locked = await this.redis.set(lockKey(roomId, name), token, "PX", ttl, "NX");
+    return locked ? token : null;
+  }
+
+  async unlock(roomId, token, name = "compact") {
+    await this.redis.eval(UNLOCK_SCRIPT, 1, lockKey(roomId, name), token);
+  }
+
+  /**
+   * Store a version's metadata and full document state
+   */
+  async saveVersion(roomId, version, state) {
+    await this.redis
+      .multi()
+      .hset(versionsKey(roomId), version.id, JSON.stringify(version))
+      .hset(versionStatesKey(roomId), version.id, Buffer.from(state).toString("base64"))
+      .exec();
+  }
+
+  /**
+   * List version metadata, oldest first
+   */
+  async listVersions(roomId) {
+    const versions = await this.redis.hvals(versionsKey(roomId));
+    return versions
+      .map((version) => JSON.parse(version))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Load a version's metadata and state, or null if it does not exist
+   */
+  async loadVersion(roomId, versionId) {
+    const [[, version], [, state]] = await this.redis
+      .multi()
+      .hget(versionsKey(roomId), versionId)
+      .hget(versionStatesKey(roomId), versionId)
+      .exec();
+
+    if (!version || !state) return null;
+    return { version: JSON.parse(version), state: fromBase64(state) };
+  }
+
+  async deleteVersion(roomId, versionId) {
+    await this.redis
+      .multi()
+      .hdel(versionsKey(roomId), versionId)
+      .hdel(versionStatesKey(roomId), versionId)
+      .exec();
+  }
+
+  /**
+   * Prepend an entry to one of a user's history lists, keeping the
+   * newest `maxLength`
+   */
+  async pushHistory(roomId, userId, list, entry, maxLength) {
+    const key = historyKey(roomId, userId, list);
+    await this.redis
+      .multi()
+      .lpush(key, entry)
+      .ltrim(key, 0, maxLength - 1)
+      .sadd(historyKeysKey(roomId), key)
+      .exec();
+  }
+
+  async popHistory(roomId, userId, list) {
+    return this.redis.lpop(historyKey(roomId, userId, list));
+  }
+
+  async listHistory(roomId, userId, list) {
+    return this.redis.lrange(historyKey(roomId, userId, list), 0, -1);
+  }
+
+  async historyLength(roomId, userId, list) {
+    return this.redis.llen(historyKey(roomId, userId, list));
+  }
+
+  async clearHistory(roomId, userId, list) {
+    await this.redis.del(historyKey(roomId, userId, list));
+  }
+
+  async delete(roomId) {
+    const historyKeys = await this.redis.smembers(historyKeysKey(roomId));
+    await this.redis.del(
+      ...historyKeys,
+      historyKeysKey(roomId),
+      stateKey(roomId),
+      updatesKey(roomId),
+      logBytesKey(roomId),
+      updatedAtKey(roomId),
+      lockKey(roomId, "compact"),
+      versionsKey(roomId),
+      versionStatesKey(roomId)
+    );
+  }
+
+  /**
+   * List all rooms with persisted state
+   */
+  async listRooms() {
+    const rooms = new Set();
+    for (const [pattern, suffix] of [
+      ["room:*:state", ":state"],
+      ["room:*:updates", ":updates"],
+    ]) {
+      let cursor = "0";
+      do {
+        const [next, keys] = await this.redis.scan(cursor, "MATCH", pattern, "COUNT", 500);
+        for (const key of keys) {
+          rooms.add(key.slice("room:".length, -suffix.length));
+        }
+        cursor = next;
+      } while (cursor !== "0");
+    }
+    return Array.from(rooms);
+  }
+}
+
+const fromBase64 = (b64) => new Uint8Array(Buffer.from(b64, "base64"));
+
+/**
+ * Redis keys for a room's persisted state
+ */
+function stateKey(roomId) {
+  return `room:${roomId}:state`;
+}
+
+function updatesKey(roomId) {
+  return `room:${roomId}:updates`;
+}
+
+function logBytesKey(roomId) {
+  return `room:${roomId}:updates:bytes`;
+}
+
+function updatedAtKey(roomId) {
+  return `room:${roomId}:updated-at`;
+}
+
+function lockKey(roomId, name) {
+  return `room:${roomId}:${name}-lock`;
+}
+
+function versionsKey(roomId) {
+  return `room:${roomId}:versions`;
+}
+
+function versionStatesKey(roomId) {
+  return `room:${roomId}:version-states`;
+}
+
+function historyKey(roomId, userId, list) {
+  return `room:${roomId}:history:${userId}:${list}`;
+}
+
+function historyKeysKey(roomId) {
+  return `room:${roomId}:history-keys`;
+}
+
+export default RedisStorage;
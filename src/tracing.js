@@ -0,0 +1,189 @@
+import fs from "fs";
+import path from "path";
+import { ROOT_CONTEXT, SpanKind, SpanStatusCode, trace } from "@opentelemetry/api";
+import {
+  ExportResultCode,
+  W3CTraceContextPropagator,
+  hrTimeToMilliseconds,
+} from "@opentelemetry/core";
+import {
+  BasicTracerProvider,
+  BatchSpanProcessor,
+  ParentBasedSampler,
+  TraceIdRatioBasedSampler,
+} from "@opentelemetry/sdk-trace-base";
+import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
+import { resourceFromAttributes } from "@opentelemetry/resources";
+import { ATTR_SERVICE_NAME } from "@opentelemetry/semantic-conventions";
+
+const propagator = new W3CTraceContextPropagator();
+
+const carrierGetter = {
+  keys: (carrier) => Object.keys(carrier),
+  get: (carrier, key) => carrier[key],
+};
+
+const carrierSetter = {
+  set: (carrier, key, value) => {
+    carrier[key] = value;
+  },
+};
+
+/**
+ * Writes finished spans to a file, one JSON object per line
+ */
+class FileSpanExporter {
+  constructor(file) {
+    this.file = path.resolve(file);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map((span) =>
+      JSON.stringify({
+        traceId: span.spanContext().traceId,
+        spanId: span.spanContext().spanId,
+        parentSpanId: span.parentSpanContext?.spanId ?? null,
+        name: span.name,
+        kind: SpanKind[span.kind],
+        startTime: new Date(hrTimeToMilliseconds(span.startTime)).toISOString(),
+        durationMs: hrTimeToMilliseconds(span.duration),
+        attributes: span.attributes,
+        links: span.links.map((link) => link.context.spanId),
+        status: span.status,
+        events: span.events.map((event) => ({ name: event.name, attributes: event.attributes })),
+        resource: span.resource.attributes,
+      })
+    );
+    fs.appendFile(this.file, lines.map((line) => `${line}\n`).join(""), (error) => {
+      resultCallback(error ? { code: ExportResultCode.FAILED, error } : { code: ExportResultCode.SUCCESS });
+    });
+  }
+
+  async shutdown() {}
+}
+
+/**
+ * Tracing records OpenTelemetry spans along the path of an update:
+ * received from a client, checked, applied, broadcast and added to the
+ * room's stream, then read, applied and broadcast by the other
+ * instances. The W3C trace context travels with the stream entry, so
+ * one edit is a single trace across instances.
+ *
+ * `exporter` is "otlp" (OTLP over HTTP; the endpoint comes from the
+ * standard OTEL_EXPORTER_OTLP_ENDPOINT or
+ * OTEL_EXPORTER_OTLP_TRACES_ENDPOINT variables, by default a collector
+ * on localhost:4318), "file" (JSON lines written to `file`) or null,
+ * which disables tracing: spans are then no-ops. `sampleRatio` is the
+ * share of traces started here that are recorded; traces continued from
+ * another instance follow its decision.
+ */
+class Tracing {
+  constructor({
+    exporter = null,
+    file = "./traces.jsonl",
+    serviceName = "consistent-collab",
+    instanceId = null,
+    sampleRatio = 1,
+  } = {}) {
+    this.provider = null;
+    if (exporter) {
+      this.provider = new BasicTracerProvider({
+        resource: resourceFromAttributes({
+          [ATTR_SERVICE_NAME]: serviceName,
+          "service.instance.id": instanceId,
+        }),
+        sampler: new ParentBasedSampler({ root: new TraceIdRatioBasedSampler(sampleRatio) }),
+        spanProcessors: [new BatchSpanProcessor(createExporter(exporter, file))],
+      });
+    }
+    // Without a provider the API's tracer creates non-recording spans
+    this.tracer = this.provider
+      ? this.provider.getTracer(serviceName)
+      : trace.getTracer(serviceName);
+  }
+
+  get enabled() {
+    return this.provider !== null;
+  }
+
+  /**
+   * Start a span. `parent` is a span or a carrier from inject(); `links`
+   * lists further spans or carriers the span relates to.
+   */
+  startSpan(name, { parent = null, links = [], kind = SpanKind.INTERNAL, attributes, startTime } = {}) {
+    return this.tracer.startSpan(
+      name,
+      {
+        kind,
+        attributes,
+        startTime,
+        links: links
+          .map((link) => trace.getSpanContext(contextOf(link)))
+          .filter((spanContext) => spanContext && trace.isSpanContextValid(spanContext))
+          .map((spanContext) => ({ context: spanContext })),
+      },
+      contextOf(parent)
+    );
+  }
+
+  /**
+   * Run `fn(span)` in a new span, which ends when it returns or throws
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      return await fn(span);
+    } catch (error) {
+      this.fail(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  fail(span, error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+  }
+
+  /**
+   * The W3C trace context of a span ({ traceparent, tracestate }), or null
+   * if it is not recorded
+   */
+  inject(span) {
+    if (!span || !span.isRecording()) return null;
+    const carrier = {};
+    propagator.inject(trace.setSpan(ROOT_CONTEXT, span), carrier, carrierSetter);
+    return carrier.traceparent ? carrier : null;
+  }
+
+  /**
+   * Export the spans still buffered and stop
+   */
+  async shutdown() {
+    await this.provider?.shutdown();
+  }
+}
+
+function createExporter(exporter, file) {
+  switch (exporter) {
+    case "otlp":
+      return new OTLPTraceExporter();
+    case "file":
+      return new FileSpanExporter(file);
+    default:
+      throw new Error(`Unknown trace exporter: ${exporter}`);
+  }
+}
+
+function contextOf(parent) {
+  if (!parent) return ROOT_CONTEXT;
+  if (typeof parent.spanContext === "function") {
+    return trace.setSpan(ROOT_CONTEXT, parent);
+  }
+  return propagator.extract(ROOT_CONTEXT, parent, carrierGetter);
+}
+
+export { SpanKind, SpanStatusCode };
+export default Tracing;
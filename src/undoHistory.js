@@ -0,0 +1,294 @@
+import * as encoding from "lib0/encoding";
+import * as Y from "yjs";
+
+// Origin of the scratch transactions an UndoManager tracks
+const TRACKED = Symbol("undoHistory");
+
+/**
+ * UndoHistory lets users undo and redo their own changes to a room on
+ * the server, for clients that do not run a Y.UndoManager themselves.
+ * Every update applied on behalf of an authenticated user is recorded
+ * with the update that reverts it; undo() applies the newest one with
+ * `applyUpdate(roomId, update)`, like any other edit, and keeps the
+ * change that redoes it. Only that user's changes are reverted, edits
+ * of others made since stay.
+ *
+ * The history lives in storage, per room and user: "undo" and "redo"
+ * lists of at most `maxSteps` entries, so it survives restarts and any
+ * instance can undo what another one applied. A new change clears the
+ * user's redo list. An entry is { update, redirects }: reverting a
+ * deletion restores copies of the deleted items under new IDs, and
+ * `redirects` maps the old IDs to the copies ([client, clock, copy
+ * client, copy clock, length]). Once an entry is applied its redirects
+ * join the user's "redirects" list, so that undoing an older insertion
+ * deletes the copies as well.
+ *
+ * Reverting deletions needs the document as it was before them, which
+ * callers pass to record() when needsState() says so; undoing an
+ * insertion only deletes its items. Recording is meant to run in the
+ * background: undo() and redo() wait for the user's pending records on
+ * this instance.
+ */
+class UndoHistory {
+  constructor(storage, { currentState, applyUpdate, checkUpdate, maxSteps = 0 }) {
+    this.storage = storage;
+    this.currentState = currentState; // async roomId => full state of the room
+    this.applyUpdate = applyUpdate;
+    this.checkUpdate = checkUpdate;
+    this.maxSteps = maxSteps;
+    this.queues = new Map(); // "roomId/userId" => Promise tail of queued operations
+  }
+
+  get enabled() {
+    return this.maxSteps > 0;
+  }
+
+  /**
+   * Whether recording `update` needs the state it applies to
+   */
+  needsState(update) {
+    return this.enabled && Y.decodeUpdate(update).ds.clients.size > 0;
+  }
+
+  /**
+   * Record a user's update, applied to the room's state `before` (see
+   * needsState()). Errors are logged, not thrown.
+   */
+  async record(roomId, userId, update, before = null) {
+    if (!this.enabled) return;
+
+    try {
+      await this.serialize(roomId, userId, async () => {
+        let entry = null;
+        if (before) {
+          entry = invert(before, update, [])?.reverse;
+        } else {
+          const inserted = insertedRanges(update);
+          if (inserted.length > 0) entry = { update: deleteUpdate(inserted), redirects: [] };
+        }
+        if (!entry) return;
+
+        await this.storage.pushHistory(roomId, userId, "undo", encodeEntry(entry), this.maxSteps);
+        if ((await this.storage.historyLength(roomId, userId, "redo")) > 0) {
+          await this.storage.clearHistory(roomId, userId, "redo");
+        }
+      });
+    } catch (error) {
+      console.error(`[Undo] Error recording update of user ${userId} in room ${roomId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revert the user's newest change in the room that still changes
+   * something. Resolves with { changed, violation }, the violation if
+   * the revert was rejected by `checkUpdate`, in which case it stays
+   * in the history.
+   */
+  undo(roomId, userId) {
+    return this.step(roomId, userId, "undo", "redo");
+  }
+
+  /**
+   * Reapply the user's newest undone change, as undo() does
+   */
+  redo(roomId, userId) {
+    return this.step(roomId, userId, "redo", "undo");
+  }
+
+  step(roomId, userId, from, to) {
+    return this.serialize(roomId, userId, async () => {
+      const redirects = (await this.storage.listHistory(roomId, userId, "redirects")).flatMap(
+        (stored) => JSON.parse(stored)
+      );
+      const state = await this.currentState(roomId);
+
+      // Entries whose changes others have reverted meanwhile are dropped
+      let stored;
+      while ((stored = await this.storage.popHistory(roomId, userId, from))) {
+        const entry = decodeEntry(stored);
+        const result = invert(state, entry.update, redirects);
+        if (!result) continue;
+
+        const violation = await this.checkUpdate(roomId, result.applied);
+        if (violation) {
+          await this.storage.pushHistory(roomId, userId, from, stored, this.maxSteps);
+          return { changed: false, violation };
+        }
+
+        await this.applyUpdate(roomId, result.applied);
+        if (result.reverse) {
+          await this.storage.pushHistory(roomId, userId, to, encodeEntry(result.reverse), this.maxSteps);
+        }
+        if (entry.redirects.length > 0) {
+          await this.storage.pushHistory(
+            roomId,
+            userId,
+            "redirects",
+            JSON.stringify(entry.redirects),
+            this.maxSteps * 2
+          );
+        }
+        return { changed: true, violation: null };
+      }
+      return { changed: false, violation: null };
+    });
+  }
+
+  /**
+   * Run `fn` after the user's previous operations in the room on this
+   * instance, so entries are recorded and taken in order
+   */
+  serialize(roomId, userId, fn) {
+    const key = `${roomId}/${userId}`;
+    const previous = this.queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    this.queues.set(key, next);
+    next.finally(() => {
+      if (this.queues.get(key) === next) this.queues.delete(key);
+    }).catch(() => {});
+    return next;
+  }
+}
+
+/**
+ * Apply `update` to a scratch copy of `state`, deleting the copies that
+ * `redirects` says replace the items it deletes. Returns the changes as
+ * { applied, reverse }, with the entry that reverts them (null if there
+ * is nothing to revert), or null if the update changes nothing.
+ */
+function invert(state, update, redirects) {
+  const doc = new Y.Doc({ gc: false });
+  Y.applyUpdate(doc, state);
+  const undoManager = new Y.UndoManager(doc, {
+    trackedOrigins: new Set([TRACKED]),
+    captureTimeout: 0,
+  });
+
+  try {
+    const applied = collectUpdate(doc, () => {
+      doc.transact(() => {
+        Y.applyUpdate(doc, update);
+        const copies = follow(deletedRanges(update), redirects);
+        if (copies.length > 0) {
+          Y.applyUpdate(doc, deleteUpdate(copies));
+        }
+      }, TRACKED);
+    });
+    if (!applied) return null;
+
+    const stackItem = undoManager.undoStack[undoManager.undoStack.length - 1];
+    const reverted = stackItem ? collectUpdate(doc, () => undoManager.undo()) : null;
+    if (!reverted) return { applied, reverse: null };
+
+    const restored = [];
+    doc.transact((transaction) => {
+      Y.iterateDeletedStructs(transaction, stackItem.deletions, (struct) => {
+        if (struct instanceof Y.Item && struct.redone) {
+          const { client, clock } = struct.id;
+          restored.push([client, clock, struct.redone.client, struct.redone.clock, struct.length]);
+        }
+      });
+    });
+    return { applied, reverse: { update: reverted, redirects: restored } };
+  } finally {
+    undoManager.destroy();
+    doc.destroy();
+  }
+}
+
+/**
+ * Run `fn` and return the merged update it produced on `doc`, or null
+ */
+function collectUpdate(doc, fn) {
+  const updates = [];
+  const onUpdate = (update) => updates.push(update);
+  doc.on("update", onUpdate);
+  try {
+    fn();
+  } finally {
+    doc.off("update", onUpdate);
+  }
+  return updates.length > 0 ? Y.mergeUpdates(updates) : null;
+}
+
+/**
+ * ID ranges ([client, clock, length]) of the items an update inserts
+ */
+function insertedRanges(update) {
+  return Y.decodeUpdate(update)
+    .structs.filter((struct) => !(struct instanceof Y.Skip))
+    .map((struct) => [struct.id.client, struct.id.clock, struct.length]);
+}
+
+/**
+ * ID ranges ([client, clock, length]) of the items an update deletes
+ */
+function deletedRanges(update) {
+  const ranges = [];
+  for (const [client, deletes] of Y.decodeUpdate(update).ds.clients) {
+    for (const { clock, len } of deletes) {
+      ranges.push([client, clock, len]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * The ranges of the copies that replace `ranges`, including copies of
+ * copies
+ */
+function follow(ranges, redirects) {
+  const copies = [];
+  let pending = ranges;
+  while (pending.length > 0) {
+    const next = [];
+    for (const [client, clock, length] of pending) {
+      for (const [fromClient, fromClock, toClient, toClock, redirectLength] of redirects) {
+        if (fromClient !== client) continue;
+        const start = Math.max(clock, fromClock);
+        const end = Math.min(clock + length, fromClock + redirectLength);
+        if (start < end) {
+          next.push([toClient, toClock + start - fromClock, end - start]);
+        }
+      }
+    }
+    copies.push(...next);
+    pending = next;
+  }
+  return copies;
+}
+
+/**
+ * Encode a Yjs (v1) update that only deletes the given ID ranges
+ */
+function deleteUpdate(ranges) {
+  const byClient = new Map();
+  for (const [client, clock, length] of ranges) {
+    if (!byClient.has(client)) byClient.set(client, []);
+    byClient.get(client).push([clock, length]);
+  }
+
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, 0); // no structs
+  encoding.writeVarUint(encoder, byClient.size);
+  for (const [client, clientRanges] of byClient) {
+    encoding.writeVarUint(encoder, client);
+    encoding.writeVarUint(encoder, clientRanges.length);
+    for (const [clock, length] of clientRanges) {
+      encoding.writeVarUint(encoder, clock);
+      encoding.writeVarUint(encoder, length);
+    }
+  }
+  return encoding.toUint8Array(encoder);
+}
+
+function encodeEntry({ update, redirects }) {
+  return JSON.stringify({ update: Buffer.from(update).toString("base64"), redirects });
+}
+
+function decodeEntry(stored) {
+  const { update, redirects } = JSON.parse(stored);
+  return { update: new Uint8Array(Buffer.from(update, "base64")), redirects };
+}
+
+export default UndoHistory;
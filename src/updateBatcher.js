@@ -0,0 +1,61 @@
+/**
+ * UpdateBatcher collects the updates of each room for `window` ms and
+ * hands them to `onFlush(roomId, entries)` in one go, so the fan-out to
+ * clients and other instances happens once per window instead of once
+ * per update. Entries are whatever the caller adds, in arrival order.
+ */
+class UpdateBatcher {
+  constructor({ window = 20, onFlush }) {
+    this.window = window;
+    this.onFlush = onFlush;
+    this.batches = new Map(); // roomId => { entries, timer, done, resolve, reject }
+  }
+
+  /**
+   * Add an entry to the room's current batch; resolves once the batch
+   * has been flushed
+   */
+  add(roomId, entry) {
+    let batch = this.batches.get(roomId);
+    if (!batch) {
+      batch = { entries: [] };
+      batch.done = new Promise((resolve, reject) => {
+        batch.resolve = resolve;
+        batch.reject = reject;
+      });
+      // Callers that do not wait for the flush must not see rejections
+      batch.done.catch(() => {});
+      batch.timer = setTimeout(() => this.flushRoom(roomId), this.window);
+      this.batches.set(roomId, batch);
+    }
+    batch.entries.push(entry);
+    return batch.done;
+  }
+
+  /**
+   * Flush the room's current batch now. Errors reject the promises
+   * returned by add().
+   */
+  async flushRoom(roomId) {
+    const batch = this.batches.get(roomId);
+    if (!batch) return;
+
+    this.batches.delete(roomId);
+    clearTimeout(batch.timer);
+    try {
+      await this.onFlush(roomId, batch.entries);
+      batch.resolve();
+    } catch (error) {
+      batch.reject(error);
+    }
+  }
+
+  /**
+   * Flush all pending batches
+   */
+  async flush() {
+    await Promise.all(Array.from(this.batches.keys()).map((roomId) => this.flushRoom(roomId)));
+  }
+}
+
+export default UpdateBatcher;
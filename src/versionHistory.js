@@ -0,0 +1,187 @@
+import { v4 as uuidv4 } from "uuid";
+import * as Y from "yjs";
+import { docFromState, docToJSON, diffJSON, replaceContent } from "./docContent.js";
+
+/**
+ * VersionHistory keeps named and automatic versions of rooms. A version
+ * is the room's full document state at that time, stored through the
+ * storage adapter.
+ *
+ * Automatic versions are taken every `interval` ms for active rooms that
+ * changed since their last one; a storage lock makes sure only one
+ * instance takes it when several host the room.
+ *
+ * Rooms are read with `currentState(roomId)`, which includes updates
+ * not persisted yet and, for proxied rooms, comes from the owner.
+ * Restoring computes the CRDT update that turns the current content into
+ * the version's and hands it to `applyUpdate(roomId, update)`, so it
+ * reaches every client like any other edit.
+ */
+class VersionHistory {
+  constructor(
+    roomManager,
+    storage,
+    { currentState, applyUpdate, interval = 600000, maxAutoVersions = 50 }
+  ) {
+    this.roomManager = roomManager;
+    this.storage = storage;
+    this.currentState = currentState;
+    this.applyUpdate = applyUpdate;
+    this.interval = interval;
+    this.maxAutoVersions = maxAutoVersions;
+    this.lastAutoStateVectors = new Map(); // roomId => state vector of last auto version
+    this.timer = null;
+  }
+
+  /**
+   * Start taking automatic versions
+   */
+  start() {
+    this.timer = setInterval(() => {
+      this.createAutoVersions().catch((error) => {
+        console.error(`[Versions] Error creating automatic versions: ${error.message}`);
+      });
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Create a version of a room's current state
+   */
+  async createVersion(roomId, { name = null, auto = false, createdBy = null } = {}) {
+    const state = await this.currentState(roomId);
+    const version = {
+      id: uuidv4(),
+      name,
+      auto,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      size: state.length,
+    };
+
+    await this.storage.saveVersion(roomId, version, state);
+    console.log(
+      `[Versions] Created ${auto ? "automatic" : "named"} version ${version.id} of room ${roomId}`
+    );
+
+    if (auto) {
+      await this.pruneAutoVersions(roomId);
+    }
+    return version;
+  }
+
+  /**
+   * Take an automatic version of every active room that changed
+   */
+  async createAutoVersions() {
+    for (const [roomId, room] of this.roomManager.rooms) {
+      if (room.owner) continue; // proxied, versioned by its owner
+      const stateVector = Buffer.from(Y.encodeStateVector(room.doc));
+      const last = this.lastAutoStateVectors.get(roomId);
+      if (last && last.equals(stateVector)) continue;
+
+      // Held until it expires: at most one automatic version per interval
+      this.lastAutoStateVectors.set(roomId, stateVector);
+      const lock = await this.storage.tryLock(roomId, this.interval, "version");
+      if (lock) {
+        await this.createVersion(roomId, { auto: true });
+      }
+    }
+
+    // Forget rooms that were evicted
+    for (const roomId of this.lastAutoStateVectors.keys()) {
+      if (!this.roomManager.rooms.has(roomId)) {
+        this.lastAutoStateVectors.delete(roomId);
+      }
+    }
+  }
+
+  /**
+   * Keep only the newest `maxAutoVersions` automatic versions
+   */
+  async pruneAutoVersions(roomId) {
+    const autoVersions = (await this.storage.listVersions(roomId)).filter((v) => v.auto);
+    const excess = autoVersions.slice(0, Math.max(0, autoVersions.length - this.maxAutoVersions));
+    for (const version of excess) {
+      await this.storage.deleteVersion(roomId, version.id);
+    }
+  }
+
+  async listVersions(roomId) {
+    return this.storage.listVersions(roomId);
+  }
+
+  /**
+   * Get a version's metadata and its content as JSON, or null.
+   * "current" stands for the room's current state.
+   */
+  async getVersion(roomId, versionId) {
+    if (versionId === "current") {
+      const state = await this.currentState(roomId);
+      return { version: { id: "current" }, content: stateToJSON(state) };
+    }
+
+    const stored = await this.storage.loadVersion(roomId, versionId);
+    if (!stored) return null;
+    return { version: stored.version, content: stateToJSON(stored.state) };
+  }
+
+  /**
+   * Compare the content of two versions (either may be "current")
+   */
+  async diffVersions(roomId, fromId, toId) {
+    const [from, to] = await Promise.all([
+      this.getVersion(roomId, fromId),
+      this.getVersion(roomId, toId),
+    ]);
+    if (!from || !to) return null;
+
+    return {
+      from: from.version,
+      to: to.version,
+      changes: diffJSON(from.content, to.content),
+    };
+  }
+
+  /**
+   * Restore a room to a version. The current state is saved as a version
+   * first, so the restore itself can be undone. Returns null if the
+   * version does not exist.
+   */
+  async restoreVersion(roomId, versionId, { restoredBy = null } = {}) {
+    const stored = await this.storage.loadVersion(roomId, versionId);
+    if (!stored) return null;
+
+    const backup = await this.createVersion(roomId, {
+      name: `Before restore of ${stored.version.name || versionId}`,
+      createdBy: restoredBy,
+    });
+
+    const current = docFromState(await this.currentState(roomId));
+    const target = docFromState(stored.state);
+    const update = replaceContent(current, target);
+    current.destroy();
+    target.destroy();
+
+    if (update) {
+      await this.applyUpdate(roomId, update);
+    }
+
+    console.log(`[Versions] Restored room ${roomId} to version ${versionId}`);
+    return { restored: stored.version, backup, changed: update !== null };
+  }
+}
+
+function stateToJSON(state) {
+  const doc = docFromState(state);
+  const json = docToJSON(doc);
+  doc.destroy();
+  return json;
+}
+
+export default VersionHistory;
@@ -0,0 +1,391 @@
+import fs from "fs";
+import path from "path";
+import { createHmac } from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { globToRegExp } from "./accessPolicy.js";
+import { webhookDeliveries } from "./metrics.js";
+
+/**
+ * Webhook event types
+ */
+const WebhookEvent = Object.freeze({
+  ROOM_CREATED: "room.created",
+  FIRST_CLIENT_JOINED: "room.first_client_joined",
+  LAST_CLIENT_LEFT: "room.last_client_left",
+  DOCUMENT_CHANGED: "room.document_changed",
+  ROOM_EVICTED: "room.evicted",
+});
+
+const DEAD_LETTER_KEY = "webhooks:dead-letters";
+const MAX_DEAD_LETTERS = 1000;
+
+// Apply a presence change to `room:{roomId}:presence`, a hash of
+// instanceId => connected clients for the instances holding the room,
+// and return { clients, holders } before and after it. Fields of
+// instances whose registry key has expired are dropped first.
+const PRESENCE_SCRIPT = `
+local function totals()
+  local clients, holders = 0, 0
+  local fields = redis.call("HGETALL", KEYS[1])
+  for i = 1, #fields, 2 do
+    if fields[i] == ARGV[1] or redis.call("EXISTS", "instance:" .. fields[i]) == 1 then
+      clients = clients + tonumber(fields[i + 1])
+      holders = holders + 1
+    else
+      redis.call("HDEL", KEYS[1], fields[i])
+    end
+  end
+  return clients, holders
+end
+
+local clientsBefore, holdersBefore = totals()
+if ARGV[2] == "load" then
+  redis.call("HSETNX", KEYS[1], ARGV[1], 0)
+elseif ARGV[2] == "join" then
+  redis.call("HINCRBY", KEYS[1], ARGV[1], 1)
+elseif ARGV[2] == "leave" then
+  if tonumber(redis.call("HGET", KEYS[1], ARGV[1]) or "0") > 0 then
+    redis.call("HINCRBY", KEYS[1], ARGV[1], -1)
+  end
+elseif ARGV[2] == "unload" then
+  redis.call("HDEL", KEYS[1], ARGV[1])
+end
+local clientsAfter, holdersAfter = totals()
+return { clientsBefore, clientsAfter, holdersBefore, holdersAfter }
+`;
+
+/**
+ * Webhooks sends room lifecycle and change events to external HTTP
+ * endpoints, configured by a JSON document of the form:
+ *
+ * {
+ *   "webhooks": [
+ *     {
+ *       "url": "https://search.internal/collab-events",
+ *       "secret": "shared-secret",
+ *       "events": ["room.document_changed"],
+ *       "rooms": "doc-*"
+ *     }
+ *   ]
+ * }
+ *
+ * `events` defaults to all events and `rooms` (a glob) to every room.
+ *
+ * Each event fires once per cluster, however many instances hold the
+ * room: instances record which rooms they hold and how many clients they
+ * have in `room:{roomId}:presence`, so exactly one of them sees a room
+ * go from no holders to one (created), from no clients to one (first
+ * client joined) and back. Changed top-level types are collected in
+ * `room:{roomId}:changed-types`; the instance that opens a debounce
+ * window (`room:{roomId}:changed-timer`) fires the event when it ends.
+ *
+ * Deliveries are POSTs signed with HMAC-SHA256 of the body, retried with
+ * exponential backoff and recorded in the dead-letter list
+ * `webhooks:dead-letters` when all attempts fail.
+ */
+class Webhooks {
+  constructor(
+    redis,
+    instanceId,
+    { endpoints = [], debounce = 2000, maxAttempts = 5, retryDelay = 1000, timeout = 10000 } = {}
+  ) {
+    this.redis = redis;
+    this.instanceId = instanceId;
+    this.endpoints = endpoints.map((endpoint) => ({
+      url: endpoint.url,
+      secret: endpoint.secret ?? null,
+      events: endpoint.events ?? Object.values(WebhookEvent),
+      pattern: globToRegExp(endpoint.rooms ?? "*"),
+    }));
+    this.debounce = debounce;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+    this.deliveries = new Set(); // in-flight deliveries, including retries
+    this.presence = new Map(); // roomId => { clients }, without Redis
+    this.changedTypes = new Map(); // roomId => Set of changed type names, without Redis
+    this.changeTimers = new Map(); // roomId => timer of a debounce window opened here
+    this.deadLetters = []; // without Redis
+  }
+
+  static fromFile(redis, instanceId, file, options = {}) {
+    const { webhooks = [] } = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+    for (const endpoint of webhooks) {
+      if (!endpoint.url) {
+        throw new Error("Webhook without url");
+      }
+      for (const event of endpoint.events ?? []) {
+        if (!Object.values(WebhookEvent).includes(event)) {
+          throw new Error(`Unknown webhook event: ${event}`);
+        }
+      }
+    }
+    return new Webhooks(redis, instanceId, { ...options, endpoints: webhooks });
+  }
+
+  get enabled() {
+    return this.endpoints.length > 0;
+  }
+
+  /**
+   * A room was loaded here; `created` if nothing was persisted for it
+   */
+  async roomLoaded(roomId, { created }) {
+    const change = await this.updatePresence(roomId, "load");
+    if (created && change.holdersBefore === 0) {
+      await this.emit(WebhookEvent.ROOM_CREATED, roomId, {});
+    }
+  }
+
+  async clientJoined(roomId, { clientId, userId }) {
+    const change = await this.updatePresence(roomId, "join");
+    if (change.clientsBefore === 0 && change.clientsAfter > 0) {
+      await this.emit(WebhookEvent.FIRST_CLIENT_JOINED, roomId, { clientId, userId });
+    }
+  }
+
+  async clientLeft(roomId, { clientId, userId }) {
+    const change = await this.updatePresence(roomId, "leave");
+    if (change.clientsBefore > 0 && change.clientsAfter === 0) {
+      await this.emit(WebhookEvent.LAST_CLIENT_LEFT, roomId, { clientId, userId });
+    }
+  }
+
+  /**
+   * The room was dropped from memory here, with `reason` "idle",
+   * "evicted" or "deleted"
+   */
+  async roomUnloaded(roomId, { reason }) {
+    const change = await this.updatePresence(roomId, "unload");
+    if (change.holdersBefore > 0 && change.holdersAfter === 0) {
+      await this.emit(WebhookEvent.ROOM_EVICTED, roomId, { reason });
+    }
+  }
+
+  async updatePresence(roomId, op) {
+    if (!this.enabled) {
+      return { clientsBefore: 0, clientsAfter: 0, holdersBefore: 0, holdersAfter: 0 };
+    }
+
+    if (this.redis) {
+      const [clientsBefore, clientsAfter, holdersBefore, holdersAfter] = await this.redis.eval(
+        PRESENCE_SCRIPT,
+        1,
+        `room:${roomId}:presence`,
+        this.instanceId,
+        op
+      );
+      return { clientsBefore, clientsAfter, holdersBefore, holdersAfter };
+    }
+
+    // Standalone: this instance is the only holder
+    const before = this.presence.get(roomId);
+    let after = before ? { ...before } : null;
+    if (op === "load") after ??= { clients: 0 };
+    if (op === "join" && after) after.clients++;
+    if (op === "leave" && after?.clients > 0) after.clients--;
+    if (op === "unload") after = null;
+
+    if (after) {
+      this.presence.set(roomId, after);
+    } else {
+      this.presence.delete(roomId);
+    }
+    return {
+      clientsBefore: before ? before.clients : 0,
+      clientsAfter: after ? after.clients : 0,
+      holdersBefore: before ? 1 : 0,
+      holdersAfter: after ? 1 : 0,
+    };
+  }
+
+  /**
+   * Record top-level types changed by an update that originated here.
+   * The change event lists all types changed in the cluster during its
+   * debounce window.
+   */
+  async documentChanged(roomId, names) {
+    if (names.size === 0 || !this.wants(WebhookEvent.DOCUMENT_CHANGED, roomId)) return;
+
+    if (this.redis) {
+      const [, [, opened]] = await this.redis
+        .multi()
+        .sadd(`room:${roomId}:changed-types`, ...names)
+        .set(`room:${roomId}:changed-timer`, this.instanceId, "PX", this.debounce * 2, "NX")
+        .exec();
+      if (opened === "OK") {
+        this.openChangeWindow(roomId);
+      }
+      return;
+    }
+
+    let pending = this.changedTypes.get(roomId);
+    if (!pending) {
+      pending = new Set();
+      this.changedTypes.set(roomId, pending);
+      this.openChangeWindow(roomId);
+    }
+    names.forEach((name) => pending.add(name));
+  }
+
+  openChangeWindow(roomId) {
+    this.changeTimers.set(roomId, setTimeout(() => this.emitChanges(roomId), this.debounce));
+  }
+
+  /**
+   * Fire the change event of a debounce window opened here, at its end or
+   * earlier when flushing
+   */
+  async emitChanges(roomId) {
+    clearTimeout(this.changeTimers.get(roomId));
+    this.changeTimers.delete(roomId);
+
+    let names;
+    try {
+      if (this.redis) {
+        const [[, members]] = await this.redis
+          .multi()
+          .smembers(`room:${roomId}:changed-types`)
+          .del(`room:${roomId}:changed-types`, `room:${roomId}:changed-timer`)
+          .exec();
+        names = members;
+      } else {
+        names = Array.from(this.changedTypes.get(roomId) || []);
+        this.changedTypes.delete(roomId);
+      }
+
+      if (names.length > 0) {
+        await this.emit(WebhookEvent.DOCUMENT_CHANGED, roomId, { changedTypes: names.sort() });
+      }
+    } catch (error) {
+      console.error(`[Webhooks] Error collecting changes of room ${roomId}: ${error.message}`);
+    }
+  }
+
+  wants(type, roomId) {
+    return this.endpoints.some(
+      (endpoint) => endpoint.events.includes(type) && endpoint.pattern.test(roomId)
+    );
+  }
+
+  /**
+   * Send an event to every endpoint subscribed to it. Deliveries run in
+   * the background; see flush().
+   */
+  async emit(type, roomId, data) {
+    const event = {
+      id: uuidv4(),
+      type,
+      room: roomId,
+      timestamp: new Date().toISOString(),
+      instanceId: this.instanceId,
+      data,
+    };
+
+    for (const endpoint of this.endpoints) {
+      if (!endpoint.events.includes(type) || !endpoint.pattern.test(roomId)) continue;
+      const delivery = this.deliver(endpoint, event).finally(() => {
+        this.deliveries.delete(delivery);
+      });
+      this.deliveries.add(delivery);
+    }
+    console.log(`[Webhooks] ${type} for room ${roomId}`);
+  }
+
+  /**
+   * POST an event to an endpoint, retrying up to maxAttempts times after
+   * retryDelay * 2^(attempt - 1) ms, and dead-letter it if all fail
+   */
+  async deliver(endpoint, event) {
+    const body = JSON.stringify(event);
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Collab-Event": event.type,
+      "X-Collab-Delivery": event.id,
+    };
+    if (endpoint.secret) {
+      const signature = createHmac("sha256", endpoint.secret).update(body).digest("hex");
+      headers["X-Collab-Signature"] = `sha256=${signature}`;
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        const response = await fetch(endpoint.url, {
+          method: "POST",
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.timeout),
+        });
+        if (response.ok) {
+          webhookDeliveries.inc({ result: "delivered" });
+          return;
+        }
+        lastError = `HTTP ${response.status}`;
+      } catch (error) {
+        lastError = error.message;
+      }
+
+      if (attempt < this.maxAttempts) {
+        webhookDeliveries.inc({ result: "retried" });
+        await sleep(this.retryDelay * 2 ** (attempt - 1));
+      }
+    }
+
+    webhookDeliveries.inc({ result: "failed" });
+    console.error(
+      `[Webhooks] Giving up on ${event.type} to ${endpoint.url} after ${this.maxAttempts} attempts: ${lastError}`
+    );
+    await this.recordDeadLetter({
+      event,
+      url: endpoint.url,
+      attempts: this.maxAttempts,
+      error: lastError,
+      failedAt: new Date().toISOString(),
+    });
+  }
+
+  async recordDeadLetter(entry) {
+    if (this.redis) {
+      try {
+        await this.redis
+          .multi()
+          .lpush(DEAD_LETTER_KEY, JSON.stringify(entry))
+          .ltrim(DEAD_LETTER_KEY, 0, MAX_DEAD_LETTERS - 1)
+          .exec();
+      } catch (error) {
+        console.error(`[Webhooks] Error recording dead letter: ${error.message}`);
+      }
+      return;
+    }
+    this.deadLetters.unshift(entry);
+    this.deadLetters.length = Math.min(this.deadLetters.length, MAX_DEAD_LETTERS);
+  }
+
+  /**
+   * Failed deliveries, most recent first
+   */
+  async listDeadLetters() {
+    if (this.redis) {
+      const entries = await this.redis.lrange(DEAD_LETTER_KEY, 0, -1);
+      return entries.map((entry) => JSON.parse(entry));
+    }
+    return this.deadLetters;
+  }
+
+  /**
+   * Fire the change events of the debounce windows opened here, then
+   * wait for in-flight deliveries, including their retries
+   */
+  async flush() {
+    await Promise.all(Array.from(this.changeTimers.keys(), (roomId) => this.emitChanges(roomId)));
+    await Promise.allSettled(Array.from(this.deliveries));
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export { WebhookEvent };
+export default Webhooks;